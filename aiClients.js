@@ -0,0 +1,51 @@
+// Shared LLM clients and the timeout every LLM call runs under. Clients are
+// created on first use and are null when their API key is not set, so each
+// caller falls back to its local method.
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const OpenAI = require("openai");
+
+let openai;
+let genAI;
+
+function getOpenAIClient() {
+    if (openai === undefined) {
+        openai = null;
+        try {
+            if (process.env.OPENAI_API_KEY) {
+                openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+            }
+        } catch (error) {
+            console.log("OpenAI not available, using local methods");
+        }
+    }
+    return openai;
+}
+
+function getGeminiClient() {
+    if (genAI === undefined) {
+        genAI = null;
+        try {
+            if (process.env.GEMINI_API_KEY) {
+                genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+            }
+        } catch (error) {
+            console.log("Gemini AI not available, using local methods");
+        }
+    }
+    return genAI;
+}
+
+// Rejects with "timed out after <ms>ms" when the promise takes longer
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+    getOpenAIClient,
+    getGeminiClient,
+    withTimeout
+};
@@ -0,0 +1,325 @@
+// Container detection and decoding for uploaded audio chunks.
+// WAV goes through audioUtils; WebM/Opus and Ogg/Opus are demuxed here and
+// decoded with opus-decoder, all ending up as canonical 16 kHz mono WAV.
+const { CANONICAL_FORMAT, normalizeWav, encodeWav, floatToPcm16 } = require('./audioUtils');
+
+// EBML element IDs we need from a MediaRecorder WebM stream
+const EBML_ID = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    CLUSTER: 0x1F43B675,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    AUDIO: 0xE1,
+    CHANNELS: 0x9F,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    SIMPLE_BLOCK: 0xA3
+};
+
+// Master elements are stepped into rather than skipped. Scanning them flat
+// means "unknown size" Segments/Clusters from live recorders need no special case.
+const EBML_MASTER_IDS = new Set([
+    EBML_ID.SEGMENT,
+    EBML_ID.CLUSTER,
+    EBML_ID.TRACKS,
+    EBML_ID.TRACK_ENTRY,
+    EBML_ID.AUDIO,
+    EBML_ID.BLOCK_GROUP
+]);
+
+// Identify the container from its magic bytes
+function detectAudioFormat(buffer) {
+    if (!buffer || buffer.length < 4) return 'unknown';
+
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.length >= 12 && buffer.toString('ascii', 8, 12) === 'WAVE') {
+        return 'wav';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'OggS') {
+        return 'ogg';
+    }
+
+    const id = buffer.readUInt32BE(0);
+    // A full WebM file starts with the EBML header; MediaRecorder timeslices
+    // after the first one start directly with a Cluster
+    if (id === EBML_ID.EBML || id === EBML_ID.CLUSTER) {
+        return 'webm';
+    }
+
+    return 'unknown';
+}
+
+// Read an EBML variable-length integer. Element IDs keep their length marker.
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xFF) allOnes = false;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+// Parse OpusHead (shared by Ogg's first packet and WebM's CodecPrivate)
+function parseOpusHead(packet) {
+    if (!packet || packet.length < 19 || packet.toString('ascii', 0, 8) !== 'OpusHead') return null;
+    return {
+        channels: packet[9],
+        preSkip: packet.readUInt16LE(10)
+    };
+}
+
+function demuxWebm(buffer) {
+    const frames = [];
+    let codecId = null;
+    let opusHead = null;
+    let channels = null;
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const id = readVint(buffer, offset, true);
+        if (!id) break;
+        const size = readVint(buffer, offset + id.length, false);
+        if (!size) break;
+
+        const bodyStart = offset + id.length + size.length;
+
+        if (EBML_MASTER_IDS.has(id.value)) {
+            offset = bodyStart;
+            continue;
+        }
+
+        const bodyEnd = size.unknown ? buffer.length : Math.min(buffer.length, bodyStart + size.value);
+        const body = buffer.subarray(bodyStart, bodyEnd);
+
+        if (id.value === EBML_ID.CODEC_ID) {
+            codecId = body.toString('ascii');
+        } else if (id.value === EBML_ID.CODEC_PRIVATE) {
+            opusHead = parseOpusHead(body);
+        } else if (id.value === EBML_ID.CHANNELS) {
+            // An unsigned integer of 1 to 6 bytes (readUIntBE's limit) naming 1 or more channels
+            channels = body.length >= 1 && body.length <= 6 ? body.readUIntBE(0, body.length) : 0;
+            if (channels < 1) {
+                return { error: { error: 'bad_webm_track', message: 'WebM track has an invalid channel count' } };
+            }
+        } else if (id.value === EBML_ID.SIMPLE_BLOCK || id.value === EBML_ID.BLOCK) {
+            // Track number vint, 16-bit timecode, flags byte, then the frame.
+            // MediaRecorder never laces Opus, so one block holds one frame.
+            const track = readVint(body, 0, false);
+            if (track && body.length > track.length + 3) {
+                frames.push(body.subarray(track.length + 3));
+            }
+        }
+
+        offset = bodyEnd;
+    }
+
+    if (codecId && codecId !== 'A_OPUS') {
+        return { error: { error: 'unsupported_codec', message: `Unsupported WebM codec ${codecId}` } };
+    }
+
+    return {
+        frames,
+        codecInfo: opusHead || (channels ? { channels, preSkip: 0 } : null),
+        error: null
+    };
+}
+
+// Ogg page header_type flags
+const OGG_CONTINUED = 0x01;
+const OGG_FIRST_PAGE = 0x02;
+
+// Packets may span pages. A timeslice cut mid-packet starts with the tail of
+// a packet whose head went out with the previous chunk and may end with a head
+// whose tail comes next; neither half is decodable on its own, so both are
+// dropped (one 20 ms frame at most). Only the stream's first chunk carries
+// OpusHead/OpusTags, later ones get codecInfo null and reuse the first's.
+function demuxOgg(buffer) {
+    const packets = [];
+    let pending = [];
+    let skipping = false;
+    let firstPage = false;
+    let offset = 0;
+
+    while (offset + 27 <= buffer.length) {
+        if (buffer.toString('ascii', offset, offset + 4) !== 'OggS') {
+            return { error: { error: 'bad_ogg_page', message: `Corrupt Ogg page at byte ${offset}` } };
+        }
+
+        const flags = buffer[offset + 5];
+        const segmentCount = buffer[offset + 26];
+        const tableStart = offset + 27;
+        let dataOffset = tableStart + segmentCount;
+        const lacings = buffer.subarray(tableStart, dataOffset);
+        // A page cut short by the end of the chunk is dropped whole
+        if (dataOffset > buffer.length || dataOffset + lacings.reduce((sum, lacing) => sum + lacing, 0) > buffer.length) break;
+        if (flags & OGG_FIRST_PAGE) firstPage = true;
+
+        if (flags & OGG_CONTINUED) {
+            // The packet started before this chunk: skip what is left of it
+            if (pending.length === 0) skipping = true;
+        } else {
+            // A page that does not continue a packet means the one in progress was lost
+            pending = [];
+        }
+
+        for (const lacing of lacings) {
+            if (!skipping) pending.push(buffer.subarray(dataOffset, dataOffset + lacing));
+            dataOffset += lacing;
+
+            // A lacing value under 255 terminates the packet
+            if (lacing < 255) {
+                if (!skipping) packets.push(Buffer.concat(pending));
+                pending = [];
+                skipping = false;
+            }
+        }
+
+        offset = dataOffset;
+    }
+
+    const opusHead = parseOpusHead(packets.find(packet => packet.toString('ascii', 0, 8) === 'OpusHead'));
+    if (firstPage && !opusHead) {
+        return { error: { error: 'unsupported_codec', message: 'Ogg stream is not Opus' } };
+    }
+
+    const frames = packets.filter(packet => !['OpusHead', 'OpusTags'].includes(packet.toString('ascii', 0, 8)));
+    return { frames, codecInfo: opusHead, error: null };
+}
+
+let opusModulePromise = null;
+
+// opus-decoder is ESM-only, so load it lazily from CommonJS
+function loadOpusDecoder() {
+    if (!opusModulePromise) {
+        opusModulePromise = import('opus-decoder');
+    }
+    return opusModulePromise;
+}
+
+// One decoder per stream, keyed by the codecInfo object the session carries
+// between chunks. Timeslices are consecutive packets of the same stream, so
+// reusing the decoder keeps its state and applies the pre-skip only once.
+const streamDecoders = new WeakMap();
+
+function getStreamDecoder(codecInfo) {
+    if (!streamDecoders.has(codecInfo)) {
+        streamDecoders.set(codecInfo, loadOpusDecoder().then(async ({ OpusDecoder }) => {
+            const decoder = new OpusDecoder({
+                channels: codecInfo.channels,
+                preSkip: codecInfo.preSkip,
+                sampleRate: CANONICAL_FORMAT.sampleRate
+            });
+            await decoder.ready;
+            return decoder;
+        }));
+    }
+    return streamDecoders.get(codecInfo);
+}
+
+// Free the stream's decoder; the next chunk with this codecInfo starts a fresh one
+async function releaseOpusDecoder(codecInfo) {
+    if (!codecInfo || !streamDecoders.has(codecInfo)) return;
+
+    const pending = streamDecoders.get(codecInfo);
+    streamDecoders.delete(codecInfo);
+    try {
+        (await pending).free();
+    } catch (err) {
+        // Never finished initialising, nothing to free
+    }
+}
+
+async function decodeOpusFrames(frames, codecInfo) {
+    if (codecInfo.channels > 2) {
+        return { audio: null, error: { error: 'unsupported_channels', message: `Opus with ${codecInfo.channels} channels is not supported` } };
+    }
+
+    try {
+        const decoder = await getStreamDecoder(codecInfo);
+        const { channelData, samplesDecoded } = decoder.decodeFrames(frames);
+
+        const mono = new Float32Array(samplesDecoded);
+        for (let i = 0; i < samplesDecoded; i++) {
+            let sum = 0;
+            for (const channel of channelData) sum += channel[i];
+            mono[i] = sum / channelData.length;
+        }
+
+        return {
+            audio: encodeWav(floatToPcm16(mono), CANONICAL_FORMAT.sampleRate, CANONICAL_FORMAT.numChannels),
+            error: null
+        };
+    } catch (err) {
+        await releaseOpusDecoder(codecInfo);
+        return { audio: null, error: { error: 'opus_decode_failed', message: `Opus decoding failed: ${err.message}` } };
+    }
+}
+
+// Decode any supported upload to canonical WAV.
+// `previousCodecInfo` lets headerless WebM and Ogg timeslices reuse the first chunk's track info
+// and decoder; a chunk with its own header starts a new stream.
+// Returns { audio, container, format, codecInfo, error }.
+async function decodeAudio(buffer, previousCodecInfo = null) {
+    const container = detectAudioFormat(buffer);
+
+    if (container === 'wav') {
+        const { audio, format, error } = normalizeWav(buffer);
+        return { audio, container, format, codecInfo: null, error };
+    }
+
+    if (container === 'unknown') {
+        return {
+            audio: null,
+            container,
+            format: null,
+            codecInfo: null,
+            error: { error: 'unsupported_container', message: 'Audio is not WAV, WebM or Ogg' }
+        };
+    }
+
+    const demuxed = container === 'webm' ? demuxWebm(buffer) : demuxOgg(buffer);
+    if (demuxed.error) {
+        return { audio: null, container, format: null, codecInfo: null, error: demuxed.error };
+    }
+
+    if (demuxed.codecInfo && previousCodecInfo) {
+        await releaseOpusDecoder(previousCodecInfo);
+    }
+
+    const codecInfo = demuxed.codecInfo || previousCodecInfo;
+    if (!codecInfo) {
+        return {
+            audio: null,
+            container,
+            format: null,
+            codecInfo: null,
+            error: { error: 'missing_codec_info', message: `${container} chunk has no track header and none was seen earlier` }
+        };
+    }
+    if (demuxed.frames.length === 0) {
+        return { audio: null, container, format: null, codecInfo, error: { error: 'no_audio_frames', message: `${container} chunk contains no audio` } };
+    }
+
+    const { audio, error } = await decodeOpusFrames(demuxed.frames, codecInfo);
+    const format = { audioFormat: 'opus', numChannels: codecInfo.channels, sampleRate: 48000, bitsPerSample: null };
+
+    return { audio, container, format, codecInfo, error };
+}
+
+module.exports = {
+    detectAudioFormat,
+    decodeAudio,
+    releaseOpusDecoder
+};
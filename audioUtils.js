@@ -0,0 +1,311 @@
+// Audio helpers: RIFF/WAV parsing, PCM conversion and chunk merging
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+const WAV_HEADER_SIZE = 44;
+
+// Every stored chunk is converted to this so merged audio is always coherent
+const CANONICAL_FORMAT = { sampleRate: 16000, numChannels: 1 };
+
+// Walk the RIFF chunk list and pull out the `fmt ` and `data` chunks.
+// Returns { wav, error } so callers can report problems instead of crashing.
+function parseWav(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return { wav: null, error: { error: 'too_small', message: `Audio too small (${buffer ? buffer.length : 0} bytes)` } };
+    }
+
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return { wav: null, error: { error: 'not_wav', message: 'Audio is not a RIFF/WAVE file' } };
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        let chunkSize = buffer.readUInt32LE(offset + 4);
+        const bodyStart = offset + 8;
+
+        // Streaming recorders write 0 or 0xFFFFFFFF as the data size, and
+        // truncated uploads can claim more bytes than we received
+        if (chunkSize > buffer.length - bodyStart || (chunkId === 'data' && chunkSize === 0)) {
+            chunkSize = buffer.length - bodyStart;
+        }
+
+        if (chunkId === 'fmt ') {
+            if (chunkSize < 16) {
+                return { wav: null, error: { error: 'bad_fmt_chunk', message: `fmt chunk too short (${chunkSize} bytes)` } };
+            }
+            format = {
+                audioFormat: buffer.readUInt16LE(bodyStart),
+                numChannels: buffer.readUInt16LE(bodyStart + 2),
+                sampleRate: buffer.readUInt32LE(bodyStart + 4),
+                blockAlign: buffer.readUInt16LE(bodyStart + 12),
+                bitsPerSample: buffer.readUInt16LE(bodyStart + 14)
+            };
+
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format code in the sub-format GUID
+            if (format.audioFormat === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 40) {
+                format.audioFormat = buffer.readUInt16LE(bodyStart + 24);
+            }
+        } else if (chunkId === 'data') {
+            data = buffer.subarray(bodyStart, bodyStart + chunkSize);
+        }
+
+        // Chunks are word-aligned
+        offset = bodyStart + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format) {
+        return { wav: null, error: { error: 'missing_fmt_chunk', message: 'No fmt chunk found' } };
+    }
+    if (!data) {
+        return { wav: null, error: { error: 'missing_data_chunk', message: 'No data chunk found' } };
+    }
+    if (!format.numChannels || !format.sampleRate) {
+        return { wav: null, error: { error: 'bad_fmt_chunk', message: `Invalid format (${format.sampleRate}Hz, ${format.numChannels}ch)` } };
+    }
+
+    const supported =
+        (format.audioFormat === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(format.bitsPerSample)) ||
+        (format.audioFormat === WAVE_FORMAT_IEEE_FLOAT && [32, 64].includes(format.bitsPerSample));
+
+    if (!supported) {
+        return {
+            wav: null,
+            error: {
+                error: 'unsupported_format',
+                message: `Unsupported WAV encoding (format 0x${format.audioFormat.toString(16)}, ${format.bitsPerSample}bit)`
+            }
+        };
+    }
+
+    return { wav: { format, data }, error: null };
+}
+
+// Convert any supported PCM/float sample layout to interleaved 16-bit PCM
+function toPcm16(data, format) {
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameSize = bytesPerSample * format.numChannels;
+    // Drop a trailing partial frame so channels stay aligned
+    const sampleCount = Math.floor(data.length / frameSize) * format.numChannels;
+
+    if (format.audioFormat === WAVE_FORMAT_PCM && format.bitsPerSample === 16) {
+        return Buffer.from(data.subarray(0, sampleCount * 2));
+    }
+
+    const out = Buffer.alloc(sampleCount * 2);
+
+    for (let i = 0; i < sampleCount; i++) {
+        const pos = i * bytesPerSample;
+        let sample;
+
+        if (format.audioFormat === WAVE_FORMAT_IEEE_FLOAT) {
+            const value = format.bitsPerSample === 32 ? data.readFloatLE(pos) : data.readDoubleLE(pos);
+            sample = Math.round(Math.max(-1, Math.min(1, value)) * 32767);
+        } else if (format.bitsPerSample === 8) {
+            sample = (data[pos] - 128) << 8;
+        } else if (format.bitsPerSample === 24) {
+            sample = data.readIntLE(pos, 3) >> 8;
+        } else {
+            sample = data.readInt32LE(pos) >> 16;
+        }
+
+        out.writeInt16LE(sample, i * 2);
+    }
+
+    return out;
+}
+
+// Wrap interleaved 16-bit PCM in a canonical 44-byte WAV header
+function encodeWav(pcm, sampleRate, numChannels) {
+    const bitsPerSample = 16;
+    const wavBuffer = Buffer.alloc(WAV_HEADER_SIZE + pcm.length);
+
+    wavBuffer.write('RIFF', 0);
+    wavBuffer.writeUInt32LE(36 + pcm.length, 4);
+    wavBuffer.write('WAVE', 8);
+    wavBuffer.write('fmt ', 12);
+    wavBuffer.writeUInt32LE(16, 16);
+    wavBuffer.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+    wavBuffer.writeUInt16LE(numChannels, 22);
+    wavBuffer.writeUInt32LE(sampleRate, 24);
+    wavBuffer.writeUInt32LE(sampleRate * numChannels * bitsPerSample / 8, 28);
+    wavBuffer.writeUInt16LE(numChannels * bitsPerSample / 8, 32);
+    wavBuffer.writeUInt16LE(bitsPerSample, 34);
+    wavBuffer.write('data', 36);
+    wavBuffer.writeUInt32LE(pcm.length, 40);
+
+    pcm.copy(wavBuffer, WAV_HEADER_SIZE);
+    return wavBuffer;
+}
+
+// Average interleaved channels down to a single mono channel (floats in -1..1)
+function downmixToMono(pcm, numChannels) {
+    const frameCount = Math.floor(pcm.length / 2 / numChannels);
+    const mono = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        let sum = 0;
+        for (let ch = 0; ch < numChannels; ch++) {
+            sum += pcm.readInt16LE((frame * numChannels + ch) * 2);
+        }
+        mono[frame] = sum / numChannels / 32768;
+    }
+
+    return mono;
+}
+
+// Pure-JS sample rate conversion. Downsampling averages each source window
+// (a cheap anti-alias filter); upsampling interpolates linearly.
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const outLength = Math.floor(samples.length / ratio);
+    const out = new Float32Array(outLength);
+
+    for (let i = 0; i < outLength; i++) {
+        if (ratio > 1) {
+            const start = Math.floor(i * ratio);
+            const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+            let sum = 0;
+            for (let j = start; j < end; j++) sum += samples[j];
+            out[i] = end > start ? sum / (end - start) : samples[start];
+        } else {
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, samples.length - 1);
+            const fraction = position - index;
+            out[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+        }
+    }
+
+    return out;
+}
+
+function floatToPcm16(samples) {
+    const out = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        const value = Math.max(-1, Math.min(1, samples[i]));
+        out.writeInt16LE(Math.round(value * 32767), i * 2);
+    }
+    return out;
+}
+
+// Convert any supported WAV to CANONICAL_FORMAT (16 kHz mono 16-bit).
+// Returns { audio, format, error } where `format` is the source format.
+function normalizeWav(buffer) {
+    const { wav, error } = parseWav(buffer);
+    if (error) return { audio: null, format: null, error };
+
+    const { format } = wav;
+    const pcm = toPcm16(wav.data, format);
+
+    if (format.sampleRate === CANONICAL_FORMAT.sampleRate && format.numChannels === CANONICAL_FORMAT.numChannels) {
+        return { audio: encodeWav(pcm, format.sampleRate, format.numChannels), format, error: null };
+    }
+
+    const mono = downmixToMono(pcm, format.numChannels);
+    const resampled = resample(mono, format.sampleRate, CANONICAL_FORMAT.sampleRate);
+    const audio = encodeWav(floatToPcm16(resampled), CANONICAL_FORMAT.sampleRate, CANONICAL_FORMAT.numChannels);
+
+    return { audio, format, error: null };
+}
+
+// Duration in seconds of a canonical (44-byte header, 16-bit) WAV
+function wavDuration(wavBuffer) {
+    const bytesPerSecond = CANONICAL_FORMAT.sampleRate * CANONICAL_FORMAT.numChannels * 2;
+    return Math.max(0, wavBuffer.length - WAV_HEADER_SIZE) / bytesPerSecond;
+}
+
+// Drop the first `seconds` of audio from a canonical WAV
+function trimWavStart(wavBuffer, seconds) {
+    const frameSize = CANONICAL_FORMAT.numChannels * 2;
+    const skipBytes = Math.round(seconds * CANONICAL_FORMAT.sampleRate) * frameSize;
+    const pcm = wavBuffer.subarray(Math.min(wavBuffer.length, WAV_HEADER_SIZE + skipBytes));
+    return encodeWav(pcm, CANONICAL_FORMAT.sampleRate, CANONICAL_FORMAT.numChannels);
+}
+
+// Push a canonical chunk into a pre-roll ring buffer and drop the oldest
+// audio so the buffer never holds more than `windowSeconds`
+function appendToPreRoll(preRoll, wavBuffer, windowSeconds) {
+    preRoll.push(wavBuffer);
+
+    let total = preRoll.reduce((sum, chunk) => sum + wavDuration(chunk), 0);
+    while (preRoll.length > 0 && total > windowSeconds) {
+        const excess = total - windowSeconds;
+        const oldest = wavDuration(preRoll[0]);
+
+        if (oldest <= excess) {
+            preRoll.shift();
+            total -= oldest;
+        } else {
+            preRoll[0] = trimWavStart(preRoll[0], excess);
+            total -= excess;
+        }
+    }
+}
+
+// Merge WAV chunks into a single 16-bit WAV. The first valid chunk decides
+// the output rate/channels; unreadable or mismatched chunks are skipped and
+// returned in `problems` so the caller can tell the magician.
+function combineWavBuffers(wavBuffers) {
+    const problems = [];
+    if (wavBuffers.length === 0) return { audio: Buffer.alloc(0), format: null, problems };
+
+    console.log(`🔗 Combining ${wavBuffers.length} WAV files...`);
+
+    let outputFormat = null;
+    const pcmDataBuffers = [];
+
+    wavBuffers.forEach((buffer, index) => {
+        const { wav, error } = parseWav(buffer);
+        if (error) {
+            console.warn(`⚠️ Chunk ${index + 1} skipped: ${error.message}`);
+            problems.push({ chunk: index + 1, ...error });
+            return;
+        }
+
+        if (!outputFormat) {
+            outputFormat = { sampleRate: wav.format.sampleRate, numChannels: wav.format.numChannels };
+        } else if (wav.format.sampleRate !== outputFormat.sampleRate || wav.format.numChannels !== outputFormat.numChannels) {
+            const message = `Format ${wav.format.sampleRate}Hz/${wav.format.numChannels}ch does not match ${outputFormat.sampleRate}Hz/${outputFormat.numChannels}ch`;
+            console.warn(`⚠️ Chunk ${index + 1} skipped: ${message}`);
+            problems.push({ chunk: index + 1, error: 'format_mismatch', message });
+            return;
+        }
+
+        pcmDataBuffers.push(toPcm16(wav.data, wav.format));
+    });
+
+    if (!outputFormat) {
+        return { audio: Buffer.alloc(0), format: null, problems };
+    }
+
+    const combinedPCM = Buffer.concat(pcmDataBuffers);
+    console.log(`📊 Total PCM data: ${combinedPCM.length} bytes`);
+    console.log(`🎵 Format: ${outputFormat.sampleRate}Hz, ${outputFormat.numChannels}ch, 16bit`);
+
+    const audio = encodeWav(combinedPCM, outputFormat.sampleRate, outputFormat.numChannels);
+    console.log(`Combined WAV size: ${audio.length} bytes`);
+
+    return { audio, format: outputFormat, problems };
+}
+
+module.exports = {
+    CANONICAL_FORMAT,
+    parseWav,
+    toPcm16,
+    encodeWav,
+    downmixToMono,
+    resample,
+    floatToPcm16,
+    normalizeWav,
+    wavDuration,
+    appendToPreRoll,
+    combineWavBuffers
+};
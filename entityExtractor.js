@@ -0,0 +1,206 @@
+// Named entities in the spectator's words: people, places, organizations,
+// dates and numbers. Uses OpenAI or Gemini when configured, otherwise a local
+// capitalization + gazetteer heuristic. Dates and numbers always get a
+// structured `value` from the deterministic parsers.
+const { getOpenAIClient, getGeminiClient, withTimeout } = require('./aiClients');
+const { chunkNounPhrases } = require('./topicExtractor');
+const { parseSpokenNumbers, parseSpokenDate } = require('./spokenParser');
+
+const ENTITY_TYPES = ['person', 'place', 'organization', 'date', 'number'];
+
+// Milliseconds each LLM may take before the next method is tried
+const LLM_TIMEOUT_MS = parseInt(process.env.ENTITY_LLM_TIMEOUT_MS, 10) || 5000;
+
+const COUNTRIES = new Set([
+    'united states', 'america', 'usa', 'canada', 'mexico', 'brazil', 'argentina', 'chile', 'peru',
+    'colombia', 'united kingdom', 'england', 'scotland', 'wales', 'ireland', 'france', 'spain',
+    'portugal', 'italy', 'germany', 'austria', 'switzerland', 'netherlands', 'belgium', 'denmark',
+    'sweden', 'norway', 'finland', 'iceland', 'poland', 'greece', 'turkey', 'russia', 'ukraine',
+    'egypt', 'morocco', 'kenya', 'nigeria', 'south africa', 'india', 'china', 'japan', 'korea',
+    'thailand', 'vietnam', 'indonesia', 'philippines', 'australia', 'new zealand', 'africa',
+    'europe', 'asia', 'antarctica', 'hawaii', 'california', 'texas', 'florida'
+]);
+
+// Cities recognised without capitalization help (also the city trick's gazetteer)
+const CITY_COUNTRIES = {
+    'new york': 'United States', 'los angeles': 'United States', 'chicago': 'United States',
+    'san francisco': 'United States', 'las vegas': 'United States', 'london': 'United Kingdom',
+    'paris': 'France', 'rome': 'Italy', 'venice': 'Italy', 'milan': 'Italy', 'madrid': 'Spain',
+    'barcelona': 'Spain', 'lisbon': 'Portugal', 'berlin': 'Germany', 'munich': 'Germany',
+    'amsterdam': 'Netherlands', 'vienna': 'Austria', 'prague': 'Czech Republic',
+    'athens': 'Greece', 'istanbul': 'Turkey', 'moscow': 'Russia', 'dubai': 'United Arab Emirates',
+    'cairo': 'Egypt', 'tokyo': 'Japan', 'beijing': 'China', 'shanghai': 'China',
+    'hong kong': 'China', 'singapore': 'Singapore', 'bangkok': 'Thailand', 'mumbai': 'India',
+    'delhi': 'India', 'sydney': 'Australia', 'melbourne': 'Australia', 'toronto': 'Canada',
+    'vancouver': 'Canada', 'mexico city': 'Mexico', 'rio de janeiro': 'Brazil',
+    'buenos aires': 'Argentina', 'cape town': 'South Africa'
+};
+
+const ORGANIZATIONS = new Set([
+    'apple', 'google', 'microsoft', 'amazon', 'meta', 'facebook', 'instagram', 'netflix', 'tesla',
+    'samsung', 'sony', 'nintendo', 'ikea', 'nike', 'adidas', 'coca cola', 'coca-cola', 'pepsi',
+    'mcdonald\'s', 'mcdonalds', 'starbucks', 'disney', 'lego', 'toyota', 'bmw', 'mercedes',
+    'ferrari', 'volkswagen', 'nasa', 'fbi', 'un', 'unicef', 'bbc', 'cnn', 'spotify', 'youtube',
+    'twitter', 'tiktok', 'uber', 'airbnb', 'ikea', 'zara', 'gucci', 'chanel', 'rolex'
+]);
+
+// Trailing words that mark an organization: "Acme Corp", "Oxford University"
+const ORGANIZATION_SUFFIXES = /\b(inc|corp|corporation|ltd|llc|company|co|group|bank|university|college|school|hospital|club|foundation|airlines?)$/i;
+
+const TITLE_WORDS = 'mr|mrs|ms|miss|dr|doctor|professor|uncle|aunt|auntie|grandma|grandpa|saint|sir|lady';
+const PERSON_TITLES = new RegExp(`\\b(${TITLE_WORDS})\\.?\\s+$`, 'i');
+// "Dr. Watson": the full stop after a title would otherwise split the name off.
+// Case-sensitive so the name must be capitalized; the title may be either.
+const TITLE_EITHER_CASE = TITLE_WORDS.split('|').map(title => `[${title[0]}${title[0].toUpperCase()}]${title.slice(1)}`).join('|');
+const TITLED_NAME = new RegExp(`\\b(?:${TITLE_EITHER_CASE})\\.?\\s+(\\p{Lu}[\\p{L}'-]+(?:\\s+\\p{Lu}[\\p{L}'-]+)?)`, 'gu');
+
+// Capitalized words that are never entities on their own
+const NOT_ENTITIES = new RegExp(`^(${TITLE_WORDS}|january|february|march|april|may|june|july|august|september|october|november|december|monday|tuesday|wednesday|thursday|friday|saturday|sunday|god|okay)$`, 'i');
+
+const ENTITY_PROMPT = `List the named entities in this speech transcript (any language).
+Types: person, place, organization, date, number. Keep each entity's text as spoken.
+Answer as JSON: {"entities": [{"text": "...", "type": "person|place|organization|date|number"}]}. Answer {"entities": []} if there are none.`;
+
+async function extractWithOpenAI(text) {
+    const openai = getOpenAIClient();
+    if (!openai) return null;
+
+    const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+            { role: "system", content: ENTITY_PROMPT },
+            { role: "user", content: text }
+        ],
+        max_tokens: 300,
+        temperature: 0,
+        response_format: { type: "json_object" }
+    });
+
+    return JSON.parse(response.choices[0].message.content).entities || [];
+}
+
+async function extractWithGemini(text) {
+    const genAI = getGeminiClient();
+    if (!genAI) return null;
+
+    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash", generationConfig: { responseMimeType: "application/json" } });
+    const result = await model.generateContent(`${ENTITY_PROMPT}\n\nTranscript: "${text}"`);
+    return JSON.parse(result.response.text()).entities || [];
+}
+
+function classifyProperPhrase(phrase, precedingText) {
+    const key = phrase.toLowerCase();
+    if (CITY_COUNTRIES[key] || COUNTRIES.has(key)) return 'place';
+    if (ORGANIZATIONS.has(key) || ORGANIZATION_SUFFIXES.test(phrase)) return 'organization';
+    if (PERSON_TITLES.test(precedingText)) return 'person';
+    if (/\b(in|to|from|at|near|visit|visited|visiting)\s+$/i.test(precedingText)) return 'place';
+    return 'person';
+}
+
+// Local heuristic: capitalized phrases typed by gazetteer and context, plus
+// lower-case gazetteer hits (transcripts do not always capitalize)
+function extractLocally(text) {
+    const entities = [];
+    const seen = new Set();
+    const add = (entityText, type) => {
+        const key = `${type}:${entityText.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        entities.push({ text: entityText, type });
+    };
+
+    [...text.matchAll(TITLED_NAME)].forEach(match => add(match[1], 'person'));
+
+    chunkNounPhrases(text).filter(phrase => phrase.proper && !NOT_ENTITIES.test(phrase.phrase)).forEach(phrase => {
+        const index = text.indexOf(phrase.phrase);
+        add(phrase.phrase, classifyProperPhrase(phrase.phrase, index > 0 ? text.slice(0, index) : ''));
+    });
+
+    const lower = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}'\s-]/gu, ' ').replace(/\s+/g, ' ')} `;
+    const known = (name) => lower.includes(` ${name} `);
+    Object.keys(CITY_COUNTRIES).filter(known).forEach(city => add(city, 'place'));
+    [...COUNTRIES].filter(known).forEach(country => add(country, 'place'));
+    [...ORGANIZATIONS].filter(known).forEach(organization => add(organization, 'organization'));
+
+    // Case-insensitive duplicates of a capitalized hit
+    return entities.filter((entity, index) => entities.findIndex(other => other.text.toLowerCase() === entity.text.toLowerCase()) === index);
+}
+
+// Names of people in the text, titled names first ("Dr. Watson" → "Watson");
+// titles, months, weekdays and places are left out
+function findPersonNames(text) {
+    return extractLocally(text || '')
+        .filter(entity => entity.type === 'person')
+        .map(entity => entity.text);
+}
+
+// Attach parsed values; add dates/numbers the LLM or heuristic missed
+function addDatesAndNumbers(entities, text, language) {
+    const result = entities.map(entity => {
+        if (entity.type === 'date') return { ...entity, value: parseSpokenDate(entity.text, language) };
+        if (entity.type === 'number') {
+            const [parsed] = parseSpokenNumbers(entity.text, language);
+            return { ...entity, value: parsed ? { number: parsed.number } : null };
+        }
+        return entity;
+    })
+        // A "number" the parsers cannot read (an LLM tagging "oh") is not one
+        .filter(entity => entity.type !== 'number' || entity.value);
+
+    const date = parseSpokenDate(text, language);
+    if (date && !result.some(entity => entity.type === 'date')) {
+        const monthDay = `${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+        result.push({ text: date.year ? `${date.year}-${monthDay}` : `--${monthDay}`, type: 'date', value: date });
+    }
+
+    // Numbers that are part of the date are not separate entities
+    const dateParts = date ? [date.day, date.year] : [];
+    if (!result.some(entity => entity.type === 'number')) {
+        parseSpokenNumbers(text, language)
+            .filter(({ number }) => !dateParts.includes(number))
+            .forEach(({ number, text: spoken }) => result.push({ text: spoken, type: 'number', value: { number } }));
+    }
+
+    return result;
+}
+
+// Returns [{ text, type, value? }] with type one of ENTITY_TYPES
+async function extractEntities(text, { language = 'en' } = {}) {
+    if (!text || !text.trim()) return [];
+
+    console.log(`\n========== ENTITY EXTRACTION ==========`);
+
+    let entities = null;
+    let source = 'local';
+
+    for (const [name, method] of [['openai', extractWithOpenAI], ['gemini', extractWithGemini]]) {
+        try {
+            const found = await withTimeout(method(text), LLM_TIMEOUT_MS);
+            if (found) {
+                entities = found
+                    .filter(entity => entity && typeof entity.text === 'string' && entity.text.trim())
+                    .map(entity => ({ text: entity.text.trim(), type: String(entity.type || '').toLowerCase() }))
+                    .filter(entity => ENTITY_TYPES.includes(entity.type));
+                source = name;
+                break;
+            }
+        } catch (error) {
+            console.warn(`⚠️ ${name} entity extraction failed: ${error.message}`);
+        }
+    }
+
+    if (!entities) {
+        entities = extractLocally(text);
+    }
+
+    const result = addDatesAndNumbers(entities, text, language);
+    console.log(`Entities via ${source}: ${JSON.stringify(result)}`);
+    return result;
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    CITY_COUNTRIES,
+    findPersonNames,
+    extractEntities
+};
@@ -0,0 +1,67 @@
+// Offline extractive summary: picks the spectator's most representative
+// sentences instead of writing new ones. Sentences are scored by the frequency
+// of their content words across the whole text, with a bonus for coming early.
+const { STOP_WORDS } = require('./topicExtractor');
+
+// Sentences kept in the summary
+const SUMMARY_SENTENCES = parseInt(process.env.SUMMARY_SENTENCES, 10) || 2;
+
+// Spoken filler that STOP_WORDS (written English) does not cover
+const FILLER_WORDS = new Set(['um', 'uh', 'erm', 'hmm', 'like', 'okay', 'ok', 'yeah', 'well', 'oh', 'know', 'mean', 'gonna']);
+
+// Weight of sentence position: the first sentence gets the whole bonus
+const POSITION_WEIGHT = 0.3;
+
+// A long unpunctuated transcript is cut to this many words per "sentence"
+const MAX_SENTENCE_WORDS = 30;
+
+const contentWords = (sentence) => (sentence.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => word.replace(/'s$/, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !FILLER_WORDS.has(word));
+
+function splitSentences(text) {
+    return (text.match(/[^.!?]+[.!?]*/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean)
+        .flatMap(sentence => {
+            const words = sentence.split(/\s+/);
+            if (words.length <= MAX_SENTENCE_WORDS) return [sentence];
+            const parts = [];
+            for (let i = 0; i < words.length; i += MAX_SENTENCE_WORDS) {
+                parts.push(words.slice(i, i + MAX_SENTENCE_WORDS).join(' '));
+            }
+            return parts;
+        });
+}
+
+// Returns the summary text ('' for empty input)
+function summarizeExtractively(text, { maxSentences = SUMMARY_SENTENCES } = {}) {
+    const sentences = splitSentences(text || '');
+    if (sentences.length <= maxSentences) return sentences.join(' ');
+
+    const frequencies = {};
+    sentences.forEach(sentence => contentWords(sentence).forEach(word => {
+        frequencies[word] = (frequencies[word] || 0) + 1;
+    }));
+    const topFrequency = Math.max(1, ...Object.values(frequencies));
+
+    const scored = sentences.map((sentence, index) => {
+        const words = contentWords(sentence);
+        // Average so long sentences do not win on length alone
+        const termScore = words.length > 0
+            ? words.reduce((sum, word) => sum + frequencies[word] / topFrequency, 0) / words.length
+            : 0;
+        return { sentence, index, score: termScore + POSITION_WEIGHT * (1 - index / sentences.length) };
+    });
+
+    return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxSentences)
+        .sort((a, b) => a.index - b.index)
+        .map(({ sentence }) => sentence)
+        .join(' ');
+}
+
+module.exports = {
+    summarizeExtractively
+};
@@ -0,0 +1,385 @@
+// Keyword matching helpers for start/end trigger detection
+
+// Words of previous chunk transcripts kept so a keyword split across chunks still matches
+const TRANSCRIPT_TAIL_WORDS = 10;
+
+// How forgiving keyword matching is. `exact` is the old normalized word match;
+// the others also accept ASR spacing variants, typos and sound-alikes, so a
+// session (or KEYWORD_STRICTNESS) has to opt into them.
+const STRICTNESS_LEVELS = {
+    exact: { compact: false, phonetic: false, maxEditRatio: 0 },
+    normal: { compact: true, phonetic: true, maxEditRatio: 0.2 },
+    loose: { compact: true, phonetic: true, maxEditRatio: 0.34 }
+};
+
+const DEFAULT_STRICTNESS = STRICTNESS_LEVELS[process.env.KEYWORD_STRICTNESS] ? process.env.KEYWORD_STRICTNESS : 'exact';
+
+// Fuzzy/phonetic matching on very short keywords produces too many false triggers
+const MIN_FUZZY_LENGTH = 4;
+
+// Helper function to normalize text for keyword matching
+function normalizeText(text) {
+    return text
+        .toLowerCase()
+        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '') // remove punctuation
+        .replace(/\s{2,}/g, ' ') // normalize spaces
+        .trim();
+}
+
+function resolveStrictness(strictness) {
+    return STRICTNESS_LEVELS[strictness] ? strictness : DEFAULT_STRICTNESS;
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Metaphone-style phonetic key, so "alakazam"/"alacazam" or "sim sala bim"/"sim salla bim" agree
+function phoneticKey(text) {
+    let word = text.toLowerCase().replace(/[^a-z]/g, '');
+    if (!word) return '';
+
+    word = word
+        .replace(/([^c])\1+/g, '$1')
+        .replace(/^(kn|gn|pn|ae|wr)/, match => match[1])
+        .replace(/^x/, 's')
+        .replace(/^wh/, 'w');
+
+    const isVowel = ch => 'aeiou'.includes(ch || '');
+    let key = '';
+
+    for (let i = 0; i < word.length; i++) {
+        const ch = word[i];
+        const prev = word[i - 1];
+        const next = word[i + 1];
+        const after = word.substring(i + 1, i + 3);
+
+        switch (ch) {
+            case 'a': case 'e': case 'i': case 'o': case 'u':
+                if (i === 0) key += 'A';
+                break;
+            case 'b':
+                if (!(prev === 'm' && i === word.length - 1)) key += 'B';
+                break;
+            case 'c':
+                if (after.startsWith('ia') || next === 'h') {
+                    key += prev === 's' ? 'K' : 'X';
+                } else if ('iey'.includes(next || '_')) {
+                    if (prev !== 's') key += 'S';
+                } else {
+                    key += 'K';
+                }
+                break;
+            case 'd':
+                key += next === 'g' && 'iey'.includes(word[i + 2] || '_') ? 'J' : 'T';
+                break;
+            case 'g':
+                if (next === 'h' && i + 2 < word.length && !isVowel(word[i + 2])) break;
+                if (next === 'n' && (i + 2 === word.length || word.substring(i + 1) === 'ned')) break;
+                key += 'iey'.includes(next || '_') && prev !== 'g' ? 'J' : 'K';
+                break;
+            case 'h':
+                if (isVowel(next) && !'cgpst'.includes(prev || '_')) key += 'H';
+                break;
+            case 'k':
+                if (prev !== 'c') key += 'K';
+                break;
+            case 'p':
+                key += next === 'h' ? 'F' : 'P';
+                break;
+            case 'q':
+                key += 'K';
+                break;
+            case 's':
+                key += next === 'h' || after === 'io' || after === 'ia' ? 'X' : 'S';
+                break;
+            case 't':
+                if (after === 'io' || after === 'ia') key += 'X';
+                else if (next === 'h') key += '0';
+                else if (!(next === 'c' && word[i + 2] === 'h')) key += 'T';
+                break;
+            case 'v':
+                key += 'F';
+                break;
+            case 'w': case 'y':
+                if (isVowel(next)) key += ch.toUpperCase();
+                break;
+            case 'x':
+                key += 'KS';
+                break;
+            case 'z':
+                key += 'S';
+                break;
+            default:
+                key += ch.toUpperCase();
+        }
+    }
+
+    return key;
+}
+
+// Split text into words with their character offsets in the original string
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const normalized = normalizeText(match[0]);
+        if (normalized) {
+            tokens.push({ word: normalized, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return tokens;
+}
+
+// Score one candidate word span against the keyword. Returns { confidence, matchType } or null.
+function scoreCandidate(candidateWords, keywordWords, level) {
+    if (candidateWords.join(' ') === keywordWords.join(' ')) {
+        return { confidence: 1, matchType: 'exact' };
+    }
+
+    const candidate = candidateWords.join('');
+    const keyword = keywordWords.join('');
+
+    if (level.compact && candidate === keyword) {
+        return { confidence: 0.95, matchType: 'whitespace' };
+    }
+
+    if (keyword.length < MIN_FUZZY_LENGTH) return null;
+
+    let best = null;
+    if (level.maxEditRatio > 0) {
+        const ratio = levenshtein(candidate, keyword) / Math.max(candidate.length, keyword.length);
+        if (ratio <= level.maxEditRatio) {
+            best = { confidence: Number((1 - ratio).toFixed(2)), matchType: 'edit_distance' };
+        }
+    }
+
+    // Non-Latin scripts have no phonetic key; two empty keys are not a match
+    const keywordKey = level.phonetic ? phoneticKey(keyword) : '';
+    if (keywordKey && phoneticKey(candidate) === keywordKey) {
+        const phonetic = { confidence: 0.8, matchType: 'phonetic' };
+        if (!best || best.confidence < phonetic.confidence) best = phonetic;
+    }
+
+    return best;
+}
+
+// Find a keyword in text. Returns the character span in `text` plus the
+// match confidence/type, or null. Options:
+//   strictness - key of STRICTNESS_LEVELS
+//   minStart   - only accept matches starting at or after this offset
+//   minEnd     - only accept matches ending after this offset
+//   last       - prefer the last occurrence instead of the first
+function findKeyword(text, keyword, { strictness, minStart = 0, minEnd = 0, last = false } = {}) {
+    const keywordWords = normalizeText(keyword || '').split(' ').filter(Boolean);
+    if (!text || keywordWords.length === 0) return null;
+
+    const level = STRICTNESS_LEVELS[resolveStrictness(strictness)];
+    const tokens = tokenize(text);
+
+    // ASR may split or merge words, so try spans one word shorter/longer too
+    const spanSizes = level.compact
+        ? [keywordWords.length - 1, keywordWords.length, keywordWords.length + 1].filter(n => n > 0)
+        : [keywordWords.length];
+
+    const candidates = [];
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].start < minStart) continue;
+        let bestAtPosition = null;
+
+        for (const size of spanSizes) {
+            if (i + size > tokens.length) continue;
+            const span = tokens.slice(i, i + size);
+            const end = span[span.length - 1].end;
+            if (end <= minEnd) continue;
+
+            const score = scoreCandidate(span.map(t => t.word), keywordWords, level);
+            if (score && (!bestAtPosition || score.confidence > bestAtPosition.confidence)) {
+                bestAtPosition = {
+                    start: span[0].start,
+                    end,
+                    matched: text.substring(span[0].start, end),
+                    ...score
+                };
+            }
+        }
+
+        if (bestAtPosition) candidates.push(bestAtPosition);
+    }
+
+    if (candidates.length === 0) return null;
+
+    // Overlapping candidates are the same utterance: keep the best-scoring one
+    const matches = [];
+    [...candidates]
+        .sort((a, b) => b.confidence - a.confidence)
+        .forEach(candidate => {
+            if (!matches.some(m => candidate.start < m.end && m.start < candidate.end)) {
+                matches.push(candidate);
+            }
+        });
+    matches.sort((a, b) => a.start - b.start);
+
+    // A weak fuzzy hit shouldn't win over a clear match elsewhere in the text
+    const topConfidence = Math.max(...matches.map(m => m.confidence));
+    const strong = matches.filter(m => m.confidence >= topConfidence - 0.1);
+    return last ? strong[strong.length - 1] : strong[0];
+}
+
+// Turn a keyword setting into a list of aliases. Accepts a single phrase,
+// an array (JSON body or repeated form field), a JSON-encoded array string, or
+// aliases per language ({ "en": [...], "es": "..." }, also JSON-encoded). Per-language
+// aliases are kept for every language in `languages` (all of them when empty).
+function parseKeywordAliases(value, languages = []) {
+    if (value === undefined || value === null) return [];
+
+    let aliases = value;
+    if (typeof value === 'string' && /^[[{]/.test(value.trim())) {
+        try {
+            aliases = JSON.parse(value);
+        } catch (error) {
+            aliases = value;
+        }
+    }
+
+    if (aliases && typeof aliases === 'object' && !Array.isArray(aliases)) {
+        aliases = Object.entries(aliases)
+            .filter(([language]) => languages.length === 0 || languages.includes(language.split('-')[0].toLowerCase()))
+            .flatMap(([, list]) => (Array.isArray(list) ? list : [list]));
+    }
+
+    return (Array.isArray(aliases) ? aliases : [aliases])
+        .filter(alias => typeof alias === 'string' && normalizeText(alias).length > 0)
+        .map(alias => alias.trim());
+}
+
+// Find whichever alias matches best. Same options as findKeyword; the
+// result also carries the `alias` that fired.
+function findAnyKeyword(text, aliases, options = {}) {
+    const matches = parseKeywordAliases(aliases)
+        .map(alias => {
+            const match = findKeyword(text, alias, options);
+            return match ? { ...match, alias } : null;
+        })
+        .filter(Boolean);
+
+    if (matches.length === 0) return null;
+
+    const topConfidence = Math.max(...matches.map(m => m.confidence));
+    const strong = matches
+        .filter(m => m.confidence >= topConfidence - 0.1)
+        .sort((a, b) => (options.last ? b.start - a.start : a.start - b.start) || b.confidence - a.confidence);
+    return strong[0];
+}
+
+// Timestamp-accurate extraction over Deepgram word timings. Keyword aliases
+// are matched on the word sequence (same fuzzy rules as findKeyword), then the
+// words strictly between the start and end matches are returned together with
+// the start/end time of that window. Returns { text, start, end, words, startMatch, endMatch }.
+function extractWordsBetweenKeywords(words, startKeywords, endKeywords, strictness) {
+    const empty = { text: '', start: null, end: null, words: [], startMatch: null, endMatch: null };
+    if (!words || words.length === 0) return empty;
+
+    // Lay the words out as text and remember where each one sits
+    let text = '';
+    const offsets = words.map(word => {
+        const token = word.punctuated_word || word.word || '';
+        const start = text.length;
+        text += token + ' ';
+        return { start, end: start + token.length };
+    });
+
+    const wordIndexAt = position => offsets.findIndex(offset => position >= offset.start && position <= offset.end);
+    const toWordMatch = match => match && {
+        ...match,
+        firstWord: wordIndexAt(match.start),
+        lastWord: wordIndexAt(match.end)
+    };
+
+    const startMatch = toWordMatch(findAnyKeyword(text, startKeywords, { strictness }));
+    let endMatch = toWordMatch(findAnyKeyword(text, endKeywords, { strictness, last: true }));
+
+    // An end keyword before the start keyword can't close the window
+    if (startMatch && endMatch && endMatch.firstWord <= startMatch.lastWord) {
+        endMatch = null;
+    }
+
+    const from = startMatch ? startMatch.lastWord + 1 : 0;
+    const to = endMatch ? endMatch.firstWord : words.length;
+    const selected = words.slice(from, Math.max(from, to));
+
+    if (selected.length === 0) return { ...empty, startMatch, endMatch };
+
+    return {
+        text: selected.map(word => word.punctuated_word || word.word).join(' ').trim(),
+        start: selected[0].start ?? null,
+        end: selected[selected.length - 1].end ?? null,
+        words: selected,
+        startMatch,
+        endMatch
+    };
+}
+
+// Join the tail of earlier transcripts with the current chunk's transcript.
+// `boundary` is where the current chunk starts in the joined text.
+function buildTranscriptWindow(previousTail, transcript) {
+    const tail = normalizeText(previousTail || '');
+    const current = normalizeText(transcript || '');
+
+    if (!tail) return { text: current, boundary: 0 };
+    return { text: `${tail} ${current}`.trim(), boundary: tail.length + 1 };
+}
+
+// Find a keyword in the window. Only matches that reach into the current chunk
+// count: anything wholly inside the tail was already seen on an earlier chunk,
+// so the same utterance can never trigger twice. Spans may not start inside
+// such an earlier utterance either, or a looser span (keyword plus the next
+// word) would fire it again. `after` skips everything before that offset,
+// e.g. to find the end keyword after a start keyword in the same chunk.
+function findKeywordInWindow(window, keywords, strictness, after = 0) {
+    const seen = window.boundary > 0
+        ? findAnyKeyword(window.text.substring(0, window.boundary), keywords, { strictness, last: true })
+        : null;
+    const minStart = Math.max(after, seen ? seen.end : 0);
+
+    const match = findAnyKeyword(window.text, keywords, { strictness, minStart, minEnd: window.boundary });
+    if (!match) return null;
+
+    return { ...match, spansChunks: match.start < window.boundary };
+}
+
+// Tail to carry into the next chunk. Text up to `consumedUpTo` (the end of a
+// keyword that fired) is dropped so that keyword cannot be matched again.
+function nextTranscriptTail(window, consumedUpTo = 0) {
+    const words = window.text.substring(consumedUpTo).split(/\s+/).filter(Boolean);
+    return words.slice(-TRANSCRIPT_TAIL_WORDS).join(' ');
+}
+
+module.exports = {
+    STRICTNESS_LEVELS,
+    DEFAULT_STRICTNESS,
+    normalizeText,
+    resolveStrictness,
+    phoneticKey,
+    findKeyword,
+    parseKeywordAliases,
+    findAnyKeyword,
+    extractWordsBetweenKeywords,
+    buildTranscriptWindow,
+    findKeywordInWindow,
+    nextTranscriptTail
+};
@@ -0,0 +1,134 @@
+// Trigger keywords in the session language. Magicians configure "begin the
+// magic" in English, but a Hindi or French spectator session hears the trigger
+// in that language, and ASR may write it in the native script or romanized.
+// Each alias is expanded with its translation (through the cached translation
+// layer), a Latin transliteration of non-Latin scripts and an accent-free form.
+const { translateText } = require('./translationProvider');
+const { normalizeText } = require('./keywordMatcher');
+
+// Whether sessions translate their keywords unless they say otherwise
+const DEFAULT_TRANSLATE_KEYWORDS = process.env.TRANSLATE_KEYWORDS === 'true';
+
+// ---------- Transliteration to Latin ----------
+
+// Hindi romanization as ASR and chat write it ("jadu", not "jaadoo")
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh',
+    'ञ': 'n', 'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd',
+    'ध': 'dh', 'न': 'n', 'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r',
+    'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+// Consonant + nukta (़): borrowed sounds
+const DEVANAGARI_NUKTA = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' };
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai',
+    'ओ': 'o', 'औ': 'au'
+};
+const DEVANAGARI_MATRAS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+const DEVANAGARI_MARKS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const VIRAMA = '्';
+const NUKTA = '़';
+
+function transliterateDevanagari(word) {
+    let latin = '';
+    const chars = [...word];
+    for (let i = 0; i < chars.length; i++) {
+        const ch = chars[i];
+        if (DEVANAGARI_CONSONANTS[ch]) {
+            const nukta = chars[i + 1] === NUKTA;
+            if (nukta) i++;
+            latin += nukta ? (DEVANAGARI_NUKTA[ch] || DEVANAGARI_CONSONANTS[ch]) : DEVANAGARI_CONSONANTS[ch];
+
+            const next = chars[i + 1];
+            if (DEVANAGARI_MATRAS[next]) {
+                latin += DEVANAGARI_MATRAS[next];
+                i++;
+            } else if (next === VIRAMA) {
+                i++;
+            } else if (i + 1 < chars.length) {
+                // Inherent vowel, dropped at the end of a word in Hindi
+                latin += 'a';
+            }
+        } else if (DEVANAGARI_VOWELS[ch]) {
+            latin += DEVANAGARI_VOWELS[ch];
+        } else if (DEVANAGARI_MARKS[ch]) {
+            latin += DEVANAGARI_MARKS[ch];
+        } else if (!DEVANAGARI_MATRAS[ch] && ch !== VIRAMA && ch !== NUKTA) {
+            latin += ch;
+        }
+    }
+    return latin;
+}
+
+const CYRILLIC = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+    'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+    'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye'
+};
+
+const GREEK = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i',
+    'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+    'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+const stripAccents = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+
+// Latin spelling of Devanagari, Cyrillic or Greek text; other text is returned as is
+function transliterate(text) {
+    return text.split(/(\s+)/).map(word => {
+        if (/\p{Script=Devanagari}/u.test(word)) return transliterateDevanagari(word);
+        const lower = stripAccents(word.toLowerCase());
+        if (/\p{Script=Cyrillic}/u.test(lower)) return [...lower].map(ch => CYRILLIC[ch] ?? ch).join('');
+        if (/\p{Script=Greek}/u.test(lower)) return [...lower].map(ch => GREEK[ch] ?? ch).join('');
+        return word;
+    }).join('');
+}
+
+// ---------- Expansion ----------
+
+function shouldTranslateKeywords(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_TRANSLATE_KEYWORDS;
+    return value === true || value === 'true' || value === '1';
+}
+
+// The aliases plus their translated/transliterated variants for each
+// non-English language in `languages`, as { aliases, translationFailed }.
+// Failed translations are skipped (the original alias still matches) and
+// flagged, so this never throws.
+async function expandKeywordAliases(aliases, languages = []) {
+    const targets = [...new Set(languages.map(language => String(language).split('-')[0].toLowerCase()))]
+        .filter(language => language && language !== 'en');
+    if (aliases.length === 0 || targets.length === 0) return { aliases, translationFailed: false };
+
+    const translations = await Promise.all(targets.flatMap(language =>
+        aliases.map(alias => translateText(alias, language))
+    ));
+
+    const variants = [...aliases];
+    translations
+        .filter(result => !result.translationFailed && result.text)
+        .forEach(({ text }) => {
+            // Latin text only loses its accents; other scripts are transliterated
+            variants.push(text.trim(), stripAccents(transliterate(text)).trim());
+        });
+
+    // One entry per normalized spelling
+    const seen = new Set();
+    const unique = variants.filter(variant => {
+        const key = normalizeText(variant);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    return { aliases: unique, translationFailed: translations.some(result => result.translationFailed) };
+}
+
+module.exports = {
+    shouldTranslateKeywords,
+    transliterate,
+    expandKeywordAliases
+};
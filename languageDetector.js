@@ -0,0 +1,232 @@
+// Local spoken-language identifier for the `auto` language mode, used when
+// the STT provider did not report a language. Text in a non-Latin script is
+// identified by its script; Latin text by scoring its character trigram
+// profile against small built-in profiles (cosine similarity) plus the share
+// of very common function words of each language.
+
+const AUTO_LANGUAGE = 'auto';
+
+// Code-switching sessions (Hinglish, Spanglish): the STT model transcribes
+// every language it hears and tags each word with its language
+const MULTI_LANGUAGE = 'multi';
+
+// Fallback when nothing can be detected
+const DEFAULT_LANGUAGE = process.env.AUTO_LANGUAGE_DEFAULT || 'en';
+
+// Texts shorter than this (letters) are not worth guessing
+const MIN_LETTERS = 8;
+
+// Everyday speech, the register spectators use
+const SAMPLES = {
+    en: `I am thinking of something that I really like. It is the one with the house and the garden
+        where we went on holiday last summer. You know what I mean, they have a dog and we would walk
+        there every day because it was so nice and I have never been happier than that. What about
+        you, would you like to know what it is? It was about my family and my friends.`,
+    es: `Estoy pensando en algo que me gusta mucho. Es la casa con el jardín donde fuimos de vacaciones
+        el verano pasado. Ya sabes lo que quiero decir, tienen un perro y caminábamos allí todos los días
+        porque era muy bonito y nunca he sido más feliz que entonces. ¿Y tú, quieres saber qué es? Era
+        sobre mi familia y mis amigos, que son de la ciudad y del pueblo.`,
+    fr: `Je pense à quelque chose que j'aime beaucoup. C'est la maison avec le jardin où nous sommes
+        allés en vacances l'été dernier. Tu vois ce que je veux dire, ils ont un chien et nous marchions
+        là-bas tous les jours parce que c'était très beau et je n'ai jamais été aussi heureux. Et toi, tu
+        veux savoir ce que c'est? C'était sur ma famille et mes amis, qui sont de la ville.`,
+    de: `Ich denke an etwas, das ich wirklich mag. Es ist das Haus mit dem Garten, wo wir letzten Sommer
+        im Urlaub waren. Du weißt, was ich meine, sie haben einen Hund und wir sind jeden Tag dort
+        spazieren gegangen, weil es so schön war und ich nie glücklicher war als damals. Und du, willst du
+        wissen, was es ist? Es ging um meine Familie und meine Freunde aus der Stadt.`,
+    it: `Sto pensando a qualcosa che mi piace molto. È la casa con il giardino dove siamo andati in
+        vacanza l'estate scorsa. Sai cosa voglio dire, hanno un cane e camminavamo lì tutti i giorni
+        perché era molto bello e non sono mai stato più felice di allora. E tu, vuoi sapere che cos'è?
+        Era sulla mia famiglia e sui miei amici, che sono della città e del paese.`,
+    pt: `Estou pensando em algo que eu gosto muito. É a casa com o jardim onde fomos de férias no verão
+        passado. Você sabe o que eu quero dizer, eles têm um cachorro e caminhávamos lá todos os dias
+        porque era muito bonito e eu nunca fui tão feliz como naquela época. E você, quer saber o que é?
+        Era sobre a minha família e os meus amigos, que são da cidade e não do campo.`,
+    nl: `Ik denk aan iets dat ik echt leuk vind. Het is het huis met de tuin waar we vorige zomer op
+        vakantie waren. Je weet wat ik bedoel, ze hebben een hond en we liepen daar elke dag omdat het
+        zo mooi was en ik ben nooit gelukkiger geweest dan toen. En jij, wil je weten wat het is? Het
+        ging over mijn familie en mijn vrienden, die uit de stad komen en niet van het dorp.`,
+    // Romanized Hindi, the way ASR and chat write it
+    hi: `Main kuch aisa soch raha hoon jo mujhe bahut pasand hai. Yeh woh ghar hai jiske saath bagicha
+        tha jahan hum pichhli garmiyon mein chhuttiyon par gaye the. Tum samajh rahe ho na mera matlab,
+        unke paas ek kutta hai aur hum har din wahan ghoomne jaate the kyunki woh bahut accha tha aur main
+        kabhi itna khush nahi tha. Aur tum, kya tum jaanna chahte ho ki yeh kya hai? Yeh mere parivaar aur
+        mere doston ke baare mein tha, jo shahar se hain aur gaon se nahi.`
+};
+
+// Function words that are strong evidence on their own
+const COMMON_WORDS = {
+    en: ['the', 'and', 'is', 'of', 'i', 'you', 'it', 'that', 'was', 'with', 'my', 'what', 'about', 'thinking'],
+    es: ['el', 'la', 'los', 'las', 'y', 'es', 'de', 'que', 'en', 'un', 'una', 'mi', 'estoy', 'pensando', 'con', 'por'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'de', 'que', 'je', 'un', 'une', 'mon', 'ma', 'suis', 'pense', 'avec', 'pour'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'ein', 'eine', 'mein', 'meine', 'nicht', 'mit', 'denke', 'an'],
+    it: ['il', 'lo', 'la', 'gli', 'e', 'è', 'di', 'che', 'un', 'una', 'mio', 'mia', 'sto', 'pensando', 'con', 'per'],
+    pt: ['o', 'a', 'os', 'as', 'e', 'é', 'de', 'que', 'um', 'uma', 'meu', 'minha', 'estou', 'pensando', 'com', 'em'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'ik', 'van', 'dat', 'mijn', 'met', 'niet', 'denk', 'aan', 'op'],
+    hi: ['main', 'hai', 'hoon', 'hain', 'ka', 'ki', 'ke', 'mera', 'meri', 'mere', 'aur', 'kya', 'nahi', 'yeh', 'woh', 'mein', 'se', 'ko', 'tha', 'raha', 'rahi', 'bahut']
+};
+
+// Scripts that (mostly) mean one language; Cyrillic is taken as Russian and
+// Han as Chinese unless kana show the text is Japanese
+const SCRIPT_LANGUAGES = [
+    { script: /\p{Script=Devanagari}/u, language: 'hi' },
+    { script: /\p{Script=Cyrillic}/u, language: 'ru' },
+    { script: /\p{Script=Greek}/u, language: 'el' },
+    { script: /\p{Script=Arabic}/u, language: 'ar' },
+    { script: /\p{Script=Hebrew}/u, language: 'he' },
+    { script: /\p{Script=Thai}/u, language: 'th' },
+    { script: /\p{Script=Hangul}/u, language: 'ko' },
+    { script: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' },
+    { script: /\p{Script=Han}/u, language: 'zh' }
+];
+
+// Score lead over the runner-up at which confidence reaches 0.5
+const CONFIDENCE_HALF_MARGIN = 0.15;
+
+const tokenize = (text) => text.toLowerCase().match(/\p{L}+/gu) || [];
+
+// Trigram counts with word-boundary padding: "cat" → " ca", "cat", "at "
+function trigramProfile(text) {
+    const counts = new Map();
+    tokenize(text).forEach(word => {
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            const gram = padded.slice(i, i + 3);
+            counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+    });
+    return counts;
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((count, gram) => {
+        normA += count * count;
+        if (b.has(gram)) dot += count * b.get(gram);
+    });
+    b.forEach(count => { normB += count * count; });
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+const PROFILES = Object.fromEntries(Object.entries(SAMPLES).map(([language, sample]) => [language, trigramProfile(sample)]));
+const COMMON_WORD_SETS = Object.fromEntries(Object.entries(COMMON_WORDS).map(([language, words]) => [language, new Set(words)]));
+
+function isAutoLanguage(language) {
+    return typeof language === 'string' && language.trim().toLowerCase() === AUTO_LANGUAGE;
+}
+
+// Language of the script most of the letters are written in, or null for
+// Latin text. Confidence is that script's share of the letters.
+function detectScriptLanguage(text) {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length === 0) return null;
+
+    const counts = new Map();
+    letters.forEach(letter => {
+        const entry = SCRIPT_LANGUAGES.find(({ script }) => script.test(letter));
+        const language = entry ? entry.language : null;
+        counts.set(language, (counts.get(language) || 0) + 1);
+    });
+    // Japanese mixes kana with Han characters
+    if (counts.has('ja') && counts.has('zh')) {
+        counts.set('ja', counts.get('ja') + counts.get('zh'));
+        counts.delete('zh');
+    }
+
+    const [language, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (!language) return null;
+    return { language, confidence: Math.round(count / letters.length * 100) / 100 };
+}
+
+// Returns { language, confidence } or null when the text is too short to tell.
+// Confidence grows with the lead over the runner-up: 0.5 at
+// CONFIDENCE_HALF_MARGIN, near 0.9 for an unmistakable text.
+function detectLanguage(text) {
+    const byScript = detectScriptLanguage(text || '');
+    if (byScript) return byScript;
+
+    const words = tokenize(text || '');
+    if (words.join('').length < MIN_LETTERS) return null;
+
+    const profile = trigramProfile(text);
+    const scores = Object.keys(PROFILES).map(language => {
+        const wordShare = words.filter(word => COMMON_WORD_SETS[language].has(word)).length / words.length;
+        return { language, score: cosine(profile, PROFILES[language]) + wordShare };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (best.score === 0) return null;
+
+    const margin = best.score - second.score;
+    const confidence = Math.round(margin / (margin + CONFIDENCE_HALF_MARGIN) * 100) / 100;
+    return { language: best.language, confidence };
+}
+
+function isMultiLanguage(language) {
+    return typeof language === 'string' && language.trim().toLowerCase() === MULTI_LANGUAGE;
+}
+
+const baseLanguage = (language) => String(language || '').trim().split('-')[0].toLowerCase();
+
+// A session's languages from "en,es", ["en", "es"] or a JSON-encoded array
+function parseLanguageList(value) {
+    if (value === undefined || value === null || value === '') return [];
+
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+        } catch (error) {
+            list = value.split(',');
+        }
+    }
+
+    return [...new Set((Array.isArray(list) ? list : [list])
+        .filter(language => typeof language === 'string')
+        .map(baseLanguage)
+        .filter(Boolean))];
+}
+
+// Every word gets a `language` tag: the STT provider's own, else `fallback`
+function tagWordLanguages(words, fallback = null) {
+    return words.map(word => ({ ...word, language: word.language ? baseLanguage(word.language) : fallback }));
+}
+
+// [{ language, words }] most-used first; untagged words are not counted
+function languageMix(words) {
+    const counts = {};
+    words.forEach(word => {
+        if (word.language) counts[word.language] = (counts[word.language] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([language, count]) => ({ language, words: count }))
+        .sort((a, b) => b.words - a.words);
+}
+
+// Language for an `auto` session: the STT provider's detection when it has one,
+// else the local identifier on the given text, else DEFAULT_LANGUAGE.
+// Returns { language, confidence, source: 'stt'|'local'|'default' }.
+function resolveAutoLanguage(sttResult, text) {
+    if (sttResult?.detectedLanguage) {
+        return { language: sttResult.detectedLanguage, confidence: sttResult.languageConfidence ?? null, source: 'stt' };
+    }
+    const detected = detectLanguage(text);
+    if (detected) return { ...detected, source: 'local' };
+    return { language: DEFAULT_LANGUAGE, confidence: null, source: 'default' };
+}
+
+module.exports = {
+    AUTO_LANGUAGE,
+    MULTI_LANGUAGE,
+    DEFAULT_LANGUAGE,
+    isAutoLanguage,
+    isMultiLanguage,
+    baseLanguage,
+    parseLanguageList,
+    tagWordLanguages,
+    languageMix,
+    detectLanguage,
+    resolveAutoLanguage
+};
@@ -5,24 +5,68 @@ const { WebSocketServer } = require('ws');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const { createClient } = require('@deepgram/sdk');
-const { translate } = require('@vitalets/google-translate-api');
 const cors = require('cors');
-const OpenAI = require("openai");
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { combineWavBuffers, appendToPreRoll, wavDuration } = require('./audioUtils');
+const { decodeAudio, releaseOpusDecoder } = require('./audioDecoder');
+const { getDeepgramClient, getSttProvider, transcribeAudio } = require('./sttProvider');
+const { translateText, translateLines } = require('./translationProvider');
+const {
+    DEFAULT_LANGUAGE,
+    isAutoLanguage,
+    isMultiLanguage,
+    baseLanguage,
+    parseLanguageList,
+    tagWordLanguages,
+    languageMix,
+    detectLanguage,
+    resolveAutoLanguage
+} = require('./languageDetector');
+const { shouldTranslateKeywords, expandKeywordAliases } = require('./keywordVariants');
+const { withTimeout } = require('./aiClients');
+const {
+    normalizeText,
+    resolveStrictness,
+    parseKeywordAliases,
+    findAnyKeyword,
+    extractWordsBetweenKeywords,
+    buildTranscriptWindow,
+    findKeywordInWindow,
+    nextTranscriptTail
+} = require('./keywordMatcher');
+const { resolveSpeakerPolicy, selectSpectatorSpeaker, filterWordsBySpeaker } = require('./speakerSelection');
+const { MIN_VOICE_SECONDS, wavToSamples, computeVoiceprint, matchVoiceprint } = require('./voiceprint');
+const { extractTopic, classifyTopic } = require('./topicExtractor');
+const { canonicalizeTopic } = require('./topicCanonicalizer');
+const { DEFAULT_TRICK_MODE, resolveTrickMode, extractTrickValue } = require('./trickModes');
+const { extractEntities } = require('./entityExtractor');
+const { summarizeExtractively } = require('./extractiveSummarizer');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
 const PORT = process.env.PORT || 3001;
-const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+// Seconds of audio kept from before recording starts, unless a session overrides it
+const DEFAULT_PRE_ROLL_SECONDS = parseFloat(process.env.PRE_ROLL_SECONDS) || 3;
+// Milliseconds keyword translation may hold up a chunk before the plain aliases are used
+const KEYWORD_TRANSLATION_TIMEOUT_MS = parseInt(process.env.KEYWORD_TRANSLATION_TIMEOUT_MS, 10) || 3000;
+// How many ranked topic candidates the magician receives
+const TOPIC_CANDIDATE_COUNT = 5;
 
 // Sessions & speech history
 const sessions = {};
 const speechHistory = {};
 const audioChunks = {};
 const sessionTopics = {}
+// Enrolled magician voiceprints by id, and which voiceprint each session uses
+const voiceprints = {};
+const sessionVoiceprints = {};
+// Trick mode per session: topic, card, number, name, color, date or city
+const sessionModes = {};
+// Language settings per session: { languages, revealLanguage, translateKeywords }
+const sessionLanguages = {};
+// Translated keyword aliases per session, keyed by the aliases and languages they came from
+const sessionKeywordVariants = {};
 
 // Multer setup
 const uploadDir = path.join(__dirname, 'uploads');
@@ -31,6 +75,21 @@ if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 const tempDir = path.join(__dirname, 'temp');
 if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
 
+// Voiceprints are persisted so a magician only has to enroll once
+const voiceprintDir = path.join(__dirname, 'voiceprints');
+if (!fs.existsSync(voiceprintDir)) fs.mkdirSync(voiceprintDir, { recursive: true });
+
+fs.readdirSync(voiceprintDir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+        try {
+            const voiceprint = JSON.parse(fs.readFileSync(path.join(voiceprintDir, file), 'utf8'));
+            voiceprints[voiceprint.id] = voiceprint;
+        } catch (error) {
+            console.error(`Could not load voiceprint ${file}:`, error);
+        }
+    });
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, uploadDir),
     filename: (req, file, cb) => {
@@ -48,216 +107,119 @@ const upload = multer({
 app.use(express.json());
 app.use(cors());
 
-function combineWavBuffers(wavBuffers) {
-    if (wavBuffers.length === 0) return Buffer.alloc(0);
-    if (wavBuffers.length === 1) return wavBuffers[0];
-
-    console.log(`🔗 Combining ${wavBuffers.length} WAV files...`);
-
-    const WAV_HEADER_SIZE = 44;
-    const pcmDataBuffers = wavBuffers.map((buffer, index) => {
-        if (buffer.length <= WAV_HEADER_SIZE) {
-            console.warn(`⚠️ Chunk ${index + 1} too small (${buffer.length} bytes), skipping`);
-            return Buffer.alloc(0);
-        }
-        return buffer.slice(WAV_HEADER_SIZE);
-    });
-
-    const combinedPCM = Buffer.concat(pcmDataBuffers.filter(b => b.length > 0));
-    console.log(`📊 Total PCM data: ${combinedPCM.length} bytes`);
-
-    const firstBuffer = wavBuffers[0];
-    const numChannels = firstBuffer.readUInt16LE(22);
-    const sampleRate = firstBuffer.readUInt32LE(24);
-    const bitsPerSample = firstBuffer.readUInt16LE(34);
-
-    console.log(`🎵 Format: ${sampleRate}Hz, ${numChannels}ch, ${bitsPerSample}bit`);
-
-    const newWavBuffer = Buffer.alloc(WAV_HEADER_SIZE + combinedPCM.length);
-
-    newWavBuffer.write('RIFF', 0);
-    newWavBuffer.writeUInt32LE(36 + combinedPCM.length, 4);
-    newWavBuffer.write('WAVE', 8);
-    newWavBuffer.write('fmt ', 12);
-    newWavBuffer.writeUInt32LE(16, 16);
-    newWavBuffer.writeUInt16LE(1, 20);
-    newWavBuffer.writeUInt16LE(numChannels, 22);
-    newWavBuffer.writeUInt32LE(sampleRate, 24);
-    newWavBuffer.writeUInt32LE(sampleRate * numChannels * bitsPerSample / 8, 28);
-    newWavBuffer.writeUInt16LE(numChannels * bitsPerSample / 8, 32);
-    newWavBuffer.writeUInt16LE(bitsPerSample, 34);
-    newWavBuffer.write('data', 36);
-    newWavBuffer.writeUInt32LE(combinedPCM.length, 40);
-
-    combinedPCM.copy(newWavBuffer, WAV_HEADER_SIZE);
-
-    console.log(`Combined WAV size: ${newWavBuffer.length} bytes`);
-    return newWavBuffer;
+// Tell the magician which chunks could not be used
+function reportAudioProblems(sessionId, problems) {
+    if (!problems || problems.length === 0) return;
+
+    if (sessions[sessionId]?.magician?.readyState === 1) {
+        sessions[sessionId].magician.send(JSON.stringify({
+            type: 'audio_format_error',
+            problems,
+            message: `${problems.length} audio chunk(s) could not be used: ${problems.map(p => p.message).join('; ')}`,
+            timestamp: Date.now()
+        }));
+    }
 }
 
-async function summarizeTextWithDeepgram(text, language = 'en') {
+// Deepgram summary + topics; the local extractive summary stands in when
+// Deepgram is not configured, fails or has no summary.
+// summarySource: 'deepgram' | 'local'
+async function summarizeText(text, language = 'en') {
+    const localSummary = () => {
+        const summary = summarizeExtractively(text);
+        console.log(`Local extractive summary: "${summary}"`);
+        return summary;
+    };
+
+    const deepgram = getDeepgramClient();
+    if (!deepgram) {
+        return { summary: localSummary(), summarySource: 'local', topic: null, topics: [] };
+    }
+
     console.log('Summarizing with Deepgram...');
     try {
-        const response = await deepgram.read.analyzeText(
+        // The SDK reports API failures in `error` rather than throwing
+        const { result, error } = await deepgram.read.analyzeText(
             { text },
             { language: language, summarize: 'v2', topics: true }
         );
+        if (error || !result) {
+            console.error('Summarization error:', error?.message || 'empty response');
+            return { summary: localSummary(), summarySource: 'local', topic: null, topics: [] };
+        }
 
-        const summary = response.result.results?.summary?.text || "No summary available.";
-        const topic = response.result.results?.topics?.segments?.[0]?.topics?.[0]?.topic || null;
+        const deepgramSummary = result.results?.summary?.text;
+        const topic = result.results?.topics?.segments?.[0]?.topics?.[0]?.topic || null;
 
-        console.log(`Deepgram Summary: "${summary}"`);
+        // Every topic Deepgram found, with its best confidence across segments
+        const confidences = {};
+        (result.results?.topics?.segments || []).forEach(segment => {
+            (segment.topics || []).forEach(({ topic: name, confidence_score }) => {
+                if (name) confidences[name] = Math.max(confidences[name] || 0, confidence_score || 0);
+            });
+        });
+        const topics = Object.entries(confidences)
+            .map(([name, confidence]) => ({ topic: name, confidence }))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        console.log(`Deepgram Summary: "${deepgramSummary}"`);
         console.log(`Topic via Deepgram: "${topic}"`);
-        return { summary, topic };
+        return deepgramSummary
+            ? { summary: deepgramSummary, summarySource: 'deepgram', topic, topics }
+            : { summary: localSummary(), summarySource: 'local', topic, topics };
     } catch (err) {
         console.error('Summarization error:', err);
-        return { summary: "Error summarizing.", topic: null };
-    }
-}
-
-async function translateText(text, targetLanguage) {
-    try {
-        if (!text || text.trim().length === 0) return text;
-
-        console.log(`Translating to ${targetLanguage}: "${text.substring(0, 100)}..."`);
-        const result = await translate(text, { to: targetLanguage });
-        return result.text;
-    } catch (error) {
-        console.error('Translation error:', error);
-        return text; // Return original text if translation fails
+        return { summary: localSummary(), summarySource: 'local', topic: null, topics: [] };
     }
 }
 
-async function extractExactTopic(text) {
-    try {
-        if (!text || text.trim().length === 0) {
-            return "";
-        }
-
-        console.log(`Extracting topic from text: "${text.substring(0, 100)}..."`);
-
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a topic extraction expert. Extract the SINGLE most specific and central topic from the given text.
-
-RULES:
-1. Return ONLY the main topic as a concise phrase (1-4 words maximum)
-2. Read the ENTIRE text to understand what the speaker is primarily talking about
-4. If multiple subjects are mentioned, identify the PRIMARY subject that the speaker focuses on most
-6. Be specific and precise
-7. No explanations, no additional text - just the topic
-8. Never return "unknown" or "cannot determine" - always extract something meaningful"`
-                },
-                {
-                    role: "user",
-                    content: `Extract the exact topic never return "unknown" or "cannot determine" always extract something meaningful from this text: "${text}"`
-                }
-            ],
-            max_tokens: 20,
-            temperature: 0.1
-        });
-
-        const topic = response.choices[0].message.content.trim();
-
-        console.log(`Extracted topic: "${topic}"`);
-
-        return topic;
-
-    } catch (error) {
-        console.error('OpenAI topic extraction error:', error);
-
-        // Fallback: Return first few meaningful words
-        const words = text.split(/\s+/).filter(word => word.length > 3);
-        const fallbackTopic = words.slice(0, 3).join(' ') || text.substring(0, 20);
-
-        console.log(`🔄 Using fallback topic: "${fallbackTopic}"`);
-        return fallbackTopic;
-    }
-}
-// Helper function to normalize text for keyword matching
-function normalizeText(text) {
-    return text
-        .toLowerCase()
-        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '') // remove punctuation
-        .replace(/\s{2,}/g, ' ') // normalize spaces
-        .trim();
+// For logs: "okay think of it" | "alright concentrate"
+function formatAliases(aliases) {
+    const list = parseKeywordAliases(aliases);
+    return list.length > 0 ? list.map(alias => `"${alias}"`).join(' | ') : '(none)';
 }
 
-function extractTextBetweenKeywords(fullText, startKeyword, endKeyword) {
+// startKeywords/endKeywords are alias lists (a single phrase also works)
+function extractTextBetweenKeywords(fullText, startKeywords, endKeywords, strictness) {
     if (!fullText || fullText.trim().length === 0) return "";
 
-    const normalizedText = normalizeText(fullText);
-    const normalizedStart = normalizeText(startKeyword || "");
-    const normalizedEnd = normalizeText(endKeyword || "");
+    console.log(`Searching between ${formatAliases(startKeywords)} and ${formatAliases(endKeywords)} (${resolveStrictness(strictness)} matching)`);
+    console.log(`Full text: "${normalizeText(fullText).substring(0, 200)}..."`);
 
-    console.log(`Searching between "${startKeyword}" and "${endKeyword}"`);
-    console.log(`Full text: "${normalizedText.substring(0, 200)}..."`);
-
-    const startIndex = normalizedStart
-        ? normalizedText.indexOf(normalizedStart)
-        : -1;
-    const endIndex = normalizedEnd
-        ? normalizedText.lastIndexOf(normalizedEnd)
-        : -1;
+    // Match offsets point into the ORIGINAL text, so slicing keeps punctuation intact
+    const startMatch = findAnyKeyword(fullText, startKeywords, { strictness });
+    const endMatch = findAnyKeyword(fullText, endKeywords, { strictness, last: true });
 
     let extracted = "";
 
     // Both keywords exist but nothing between → return empty
     if (
-        startIndex !== -1 &&
-        endIndex !== -1 &&
-        endIndex > startIndex &&
-        endIndex <= startIndex + normalizedStart.length + 1
+        startMatch &&
+        endMatch &&
+        endMatch.start > startMatch.start &&
+        endMatch.start <= startMatch.end + 1
     ) {
         console.log("Only keywords found, no text between");
         return "";
     }
 
     // Start keyword found, but no (or invalid) end keyword
-    if (startIndex !== -1 && (endIndex === -1 || endIndex <= startIndex)) {
-        // Find where the start keyword ends in the ORIGINAL text
-        const originalStartIndex = fullText.toLowerCase().indexOf(startKeyword.toLowerCase());
-        if (originalStartIndex !== -1) {
-            extracted = fullText.substring(originalStartIndex + startKeyword.length).trim();
-        } else {
-            extracted = fullText.substring(startIndex + startKeyword.length).trim();
-        }
-        console.log(`Extracted after start keyword: "${extracted}"`);
+    if (startMatch && (!endMatch || endMatch.start <= startMatch.start)) {
+        extracted = fullText.substring(startMatch.end).trim();
+        console.log(`Extracted after start keyword "${startMatch.matched}" (${startMatch.matchType}, ${startMatch.confidence}): "${extracted}"`);
         return extracted;
     }
 
     // End keyword found but no start keyword
-    if (endIndex !== -1 && startIndex === -1) {
-        // Find where the end keyword starts in the ORIGINAL text
-        const originalEndIndex = fullText.toLowerCase().lastIndexOf(endKeyword.toLowerCase());
-        if (originalEndIndex !== -1) {
-            extracted = fullText.substring(0, originalEndIndex).trim();
-        } else {
-            extracted = fullText.substring(0, endIndex).trim();
-        }
-        console.log(`Extracted before end keyword: "${extracted}"`);
+    if (endMatch && !startMatch) {
+        extracted = fullText.substring(0, endMatch.start).trim();
+        console.log(`Extracted before end keyword "${endMatch.matched}" (${endMatch.matchType}, ${endMatch.confidence}): "${extracted}"`);
         return extracted;
     }
 
     // Both keywords found and valid → normal extraction
-    if (startIndex !== -1 && endIndex > startIndex) {
-        const originalStartIndex = fullText.toLowerCase().indexOf(startKeyword.toLowerCase());
-        const originalEndIndex = fullText.toLowerCase().lastIndexOf(endKeyword.toLowerCase());
-
-        if (originalStartIndex !== -1 && originalEndIndex !== -1) {
-            extracted = fullText.substring(
-                originalStartIndex + startKeyword.length,
-                originalEndIndex
-            ).trim();
-        } else {
-            extracted = fullText.substring(
-                startIndex + startKeyword.length,
-                endIndex
-            ).trim();
-        }
+    if (startMatch && endMatch) {
+        extracted = fullText.substring(startMatch.end, endMatch.start).trim();
         console.log(`Extracted between start & end: "${extracted}"`);
         return extracted;
     }
@@ -270,38 +232,34 @@ function extractTextBetweenKeywords(fullText, startKeyword, endKeyword) {
 
 // DIARIZATION & PROCESSING
 
-async function processDiarization(audioBuffer, sessionId, language, startKeyword, endKeyword) {
+async function processDiarization(audioBuffer, sessionId, language, startKeywords, endKeywords) {
     console.log(`\n ========== DIARIZATION START ==========`);
     console.log(`Session: ${sessionId} | Audio: ${audioBuffer.length} bytes`);
     console.log(`Language: ${language}`);
-    console.log(`Keywords - Start: "${startKeyword}", End: "${endKeyword}"`);
+    console.log(`Keywords - Start: ${formatAliases(startKeywords)}, End: ${formatAliases(endKeywords)}`);
 
     try {
         const tempFilePath = path.join(tempDir, `magic_${sessionId}_${Date.now()}.wav`);
         fs.writeFileSync(tempFilePath, audioBuffer);
 
-        console.log(`Sending to Deepgram for transcription...`);
-        const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
-            fs.readFileSync(tempFilePath),
-            {
-                model: "nova-3",
-                punctuate: true,
-                diarize: true,
-                smart_format: true,
-                timeout: 120000,
-                language: language
-            }
-        );
+        console.log(`Sending to ${getSttProvider().name} for transcription...`);
+        const { result, error } = await transcribeAudio(fs.readFileSync(tempFilePath), {
+            language: language,
+            purpose: 'diarization'
+        });
         fs.unlinkSync(tempFilePath);
 
-        console.log(`Deepgram response received`);
+        console.log(`Transcription response received`);
 
         if (error) {
             console.error("Diarization error:", error);
             if (sessions[sessionId]?.magician && sessions[sessionId].magician.readyState === 1) {
                 sessions[sessionId].magician.send(JSON.stringify({
                     type: 'diarization_error',
+                    // Clients match on 'deepgram_error', so it stays whatever the provider
                     error: 'deepgram_error',
+                    code: 'transcription_error',
+                    provider: getSttProvider().name,
                     message: 'Transcription failed. Please try again.',
                     timestamp: Date.now()
                 }));
@@ -310,36 +268,23 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
         }
 
         const speakers = {};
-        const channels = result.results?.channels || [];
-
-        console.log(`Channels received: ${channels.length}`);
-
-        // Also check for non-diarized transcript as fallback
-        let fullTranscript = '';
-
-        channels.forEach((channel, channelIndex) => {
-            console.log(`Channel ${channelIndex}: ${channel.alternatives?.length || 0} alternatives`);
 
-            channel.alternatives.forEach((alt, altIndex) => {
-                const transcriptPreview = alt.transcript?.substring(0, 100) || 'empty';
-                console.log(`Alternative ${altIndex}: "${transcriptPreview}${alt.transcript?.length > 100 ? '...' : ''}"`);
+        // Also keep the non-diarized transcript as fallback
+        const fullTranscript = result.transcript || '';
+        // Code-switched sessions keep a language tag on every word
+        const allWords = isMultiLanguage(language)
+            ? tagWordLanguages(result.words || [], result.detectedLanguage)
+            : (result.words || []);
 
-                // Store full transcript as backup
-                if (alt.transcript) {
-                    fullTranscript += alt.transcript + ' ';
-                }
+        console.log(`Words received: ${allWords.length}`);
 
-                if (alt.words && alt.words.length > 0) {
-                    console.log(`  Words count: ${alt.words.length}`);
-                    alt.words.forEach((word) => {
-                        const speaker = word.speaker !== undefined ? word.speaker : 0;
-                        if (!speakers[speaker]) {
-                            speakers[speaker] = { transcript: '', words: [] };
-                        }
-                        speakers[speaker].transcript += (word.punctuated_word || word.word) + ' ';
-                    });
-                }
-            });
+        allWords.forEach((word) => {
+            const speaker = word.speaker !== undefined ? word.speaker : 0;
+            if (!speakers[speaker]) {
+                speakers[speaker] = { transcript: '', words: [] };
+            }
+            speakers[speaker].transcript += (word.punctuated_word || word.word) + ' ';
+            speakers[speaker].words.push(word);
         });
 
         console.log(`Found ${Object.keys(speakers).length} speaker(s) via diarization`);
@@ -352,15 +297,46 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
             console.log(`Text: "${preview}${speaker.transcript.length > 200 ? '...' : ''}"`);
         });
 
-        // Use speaker 0 if available, otherwise fall back to full transcript
+        // Match the keywords on ALL words: that tells us who said them (the magician)
+        // and the window they bracket; the spectator is then picked by policy
+        const strictness = audioChunks[sessionId]?.keywordStrictness;
         let transcriptToProcess = '';
+        let extraction = null;
+        let speakerSelection = null;
+
+        if (allWords.length > 0) {
+            extraction = extractWordsBetweenKeywords(allWords, startKeywords, endKeywords, strictness);
+            // Compare each diarized speaker with the enrolled magician voice, if any
+            const voiceprint = voiceprints[sessionVoiceprints[sessionId] || sessionId];
+            let voiceMatch = null;
+            if (voiceprint) {
+                voiceMatch = matchVoiceprint(audioBuffer, allWords, voiceprint);
+                console.log(`Voiceprint "${voiceprint.id}" similarity by speaker: ${JSON.stringify(voiceMatch.scores)}`);
+            }
 
-        if (speakers[0] && speakers[0].transcript && speakers[0].transcript.trim().length > 0) {
-            transcriptToProcess = speakers[0].transcript.trim();
-            console.log(`Using Speaker 0 transcript (${transcriptToProcess.length} chars)`);
+            speakerSelection = selectSpectatorSpeaker({
+                words: allWords,
+                extraction,
+                policy: audioChunks[sessionId]?.speakerPolicy,
+                voiceMatch
+            });
+
+            transcriptToProcess = filterWordsBySpeaker(allWords, speakerSelection.speaker)
+                .map(word => word.punctuated_word || word.word)
+                .join(' ')
+                .trim();
+            console.log(`Speaker selection (${speakerSelection.policy}): ${speakerSelection.speaker ?? 'all'} - ${speakerSelection.reason}`);
+
+            if (sessions[sessionId]?.magician && sessions[sessionId].magician.readyState === 1) {
+                sessions[sessionId].magician.send(JSON.stringify({
+                    type: 'speaker_selected',
+                    ...speakerSelection,
+                    timestamp: Date.now()
+                }));
+            }
         } else if (fullTranscript.trim().length > 0) {
             transcriptToProcess = fullTranscript.trim();
-            console.log(`No speaker 0 found, using full transcript as fallback (${transcriptToProcess.length} chars)`);
+            console.log(`No word timings, using full transcript as fallback (${transcriptToProcess.length} chars)`);
         } else {
             console.log('No transcript found at all');
 
@@ -388,10 +364,23 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
                 // console.log("Sent magic_transcript to magician");
             }
 
-            // Extract text between keywords
-            const filteredText = extractTextBetweenKeywords(transcriptToProcess, startKeyword, endKeyword);
+            // Extract text between keywords. With word timings we keep the spectator's
+            // words inside the keyword window, which also gives its time range.
+            let filteredText = '';
+            let filteredWords = [];
+            let extractionWindow = null;
+
+            if (extraction) {
+                const spectatorWords = filterWordsBySpeaker(extraction.words, speakerSelection.speaker);
+                filteredWords = spectatorWords;
+                filteredText = spectatorWords.map(word => word.punctuated_word || word.word).join(' ').trim();
+                extractionWindow = { start: extraction.start, end: extraction.end };
+                console.log(`Extracted ${spectatorWords.length} spectator word(s) between keywords (${extraction.start}s → ${extraction.end}s)`);
+            } else {
+                filteredText = extractTextBetweenKeywords(transcriptToProcess, startKeywords, endKeywords, strictness);
+            }
 
-            const cleanFilteredText = filteredText.replace(/[^\w\s]/g, '').trim(); // remove punctuation
+            const cleanFilteredText = filteredText.replace(/[^\p{L}\p{N}\s]/gu, '').trim(); // remove punctuation
 
             if (!cleanFilteredText || cleanFilteredText.length < 2) {
                 console.log(`Filtered text too short or invalid: "${filteredText}"`);
@@ -409,50 +398,148 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
             console.log(`Filtered transcript: ${filteredText.length} chars`);
             console.log(`Filtered text: "${filteredText.substring(0, 200)}..."`);
 
+            // `auto` sessions: everything below runs in the detected language
+            let languageDetection = null;
+            if (isAutoLanguage(language)) {
+                languageDetection = resolveAutoLanguage(result, filteredText);
+                language = languageDetection.language;
+                console.log(`Detected language: ${language} (via ${languageDetection.source}, confidence ${languageDetection.confidence ?? 'n/a'})`);
+                if (sessions[sessionId]?.magician?.readyState === 1) {
+                    sessions[sessionId].magician.send(JSON.stringify({
+                        type: 'language_detected',
+                        ...languageDetection,
+                        timestamp: Date.now()
+                    }));
+                }
+            }
+
+            // `multi` sessions: process in the most-spoken language, report the per-word tags
+            const languageSettings = sessionLanguages[sessionId] || {};
+            let codeSwitching = null;
+            if (isMultiLanguage(language)) {
+                const mix = languageMix(filteredWords);
+                codeSwitching = {
+                    languages: mix,
+                    words: filteredWords.map(word => ({ word: word.punctuated_word || word.word, language: word.language }))
+                };
+                language = mix[0]?.language || detectLanguage(filteredText)?.language || languageSettings.languages?.[0] || DEFAULT_LANGUAGE;
+                console.log(`Code-switched speech: ${mix.map(entry => `${entry.language} ${entry.words}`).join(', ') || 'no word tags'} → processing as ${language}`);
+            }
+
+            // Runs alongside the topic / trick extraction; a failure only costs the entities
+            const entitiesPromise = extractEntities(filteredText, { language }).catch(error => {
+                console.error('Entity extraction error:', error);
+                return [];
+            });
+
+            const mode = sessionModes[sessionId] || DEFAULT_TRICK_MODE;
+            if (mode !== 'topic') {
+                // The local parse is instant: reveal it now, the (LLM) entities follow on their own
+                await sendTrickResult(sessionId, mode, filteredText, language, { language, languageDetection, codeSwitching, extractionWindow, speakerSelection });
+                const entities = await entitiesPromise;
+                if (sessions[sessionId]?.magician?.readyState === 1) {
+                    sessions[sessionId].magician.send(JSON.stringify({
+                        type: 'entities',
+                        mode,
+                        entities,
+                        timestamp: Date.now()
+                    }));
+                }
+                console.log(` ========== DIARIZATION END ==========\n`);
+                return;
+            }
+
             let summary = filteredText;
+            // 'deepgram', 'local' (extractive fallback) or 'transcript' (the spectator's own words)
+            let summarySource = 'transcript';
             let topic = null;
+            // Which strategy of the topic chain produced the topic
+            let topicSource = null;
+            // Runner-up topics so the magician can pick another one
+            let topicCandidates = [];
+            // Singular, article-free, synonym-mapped form ("my puppies" → "dog")
+            let canonicalTopic = null;
+            // The taxonomy is English, so classification uses the English topic and text
+            let englishCanonicalTopic = null;
+            let englishText = filteredText;
+            // Set when any translation step fell back to the untranslated text
+            let translationFailed = false;
+            // Mixed speech goes through translation even when mostly English
+            const spokenEnglish = baseLanguage(language) === 'en' && !(codeSwitching?.languages.length > 1);
+            // Language the summary/topic are in before the reveal translation
+            let resultsLanguage = 'en';
+            // The magician may reveal in another language than the one spoken
+            const revealLanguage = languageSettings.revealLanguage || (codeSwitching ? languageSettings.languages?.[0] : null) || language;
 
             console.log(`\n ========== SUMMARIZATION ==========`);
 
-            if (typeof language === 'string' && language.toLowerCase().startsWith('en')) {
-                // Use Deepgram for summary, but ALWAYS use OpenAI for topic
+            if (spokenEnglish) {
+                // Use Deepgram for summary; the topic chain may reuse its topic
                 console.log('Processing in English directly');
-                const dgResult = await summarizeTextWithDeepgram(filteredText, language);
+                const dgResult = await summarizeText(filteredText, language);
                 summary = dgResult.summary;
+                summarySource = dgResult.summarySource;
 
-                //extract topic using OpenAI
-                console.log('Extracting topic with OpenAI');
-                topic = await extractExactTopic(filteredText);
+                const topicResult = await extractTopic(filteredText, { deepgramTopics: dgResult.topics });
+                topic = topicResult.topic;
+                topicSource = topicResult.strategy;
+                topicCandidates = topicResult.candidates.slice(0, TOPIC_CANDIDATE_COUNT);
+                canonicalTopic = canonicalizeTopic(topic);
+                englishCanonicalTopic = canonicalTopic;
 
             } else {
-                // For non-English: Translate → Deepgram → Translate back
-                console.log(`Processing non-English (${language})`);
+                // For non-English or mixed speech: Translate → Deepgram; results are translated back below
+                console.log(`Processing non-English (${language}${codeSwitching ? ', code-switched' : ''})`);
                 try {
                     console.log('Translating to English...');
-                    const translatedTranscript = await translateText(filteredText, 'en');
+                    const english = await translateText(filteredText, 'en');
+                    const translatedTranscript = english.text;
+                    translationFailed = english.translationFailed;
                     console.log(`Translated: "${translatedTranscript.substring(0, 100)}..."`);
 
+                    // Summary and topic chain both work on the FULL translated text
                     console.log('Getting summary/topic in English...');
-                    const dgResult = await summarizeTextWithDeepgram(translatedTranscript, 'en');
-
-                    console.log('Translating summary back to original language...');
-                    summary = await translateText(dgResult.summary, language);
-
-                    // Extract topic using OpenAI from the FULL translated text
-                    console.log('Extracting topic with OpenAI for better accuracy...');
-                    const englishTopic = await extractExactTopic(translatedTranscript);
-                    topic = await translateText(englishTopic, language);
-
-                    console.log(`Final summary: "${summary}"`);
-                    console.log(`Final topic: "${topic}"`);
+                    const dgResult = await summarizeText(translatedTranscript, 'en');
+                    const topicResult = await extractTopic(translatedTranscript, { deepgramTopics: dgResult.topics });
+                    summary = dgResult.summary;
+                    summarySource = dgResult.summarySource;
+                    topic = topicResult.topic;
+                    topicSource = topicResult.strategy;
+                    topicCandidates = topicResult.candidates.slice(0, TOPIC_CANDIDATE_COUNT);
+                    // Canonicalize in English, where the dictionary applies
+                    englishCanonicalTopic = canonicalizeTopic(topicResult.topic);
+                    canonicalTopic = englishCanonicalTopic;
+                    englishText = translatedTranscript;
 
                 } catch (translationError) {
                     console.error('Translation process failed, using fallback:', translationError);
+                    translationFailed = true;
                     summary = filteredText;
+                    summarySource = 'transcript';
                     topic = filteredText.split(' ').slice(0, 4).join(' ');
+                    topicSource = 'fallback';
+                    resultsLanguage = language;
                 }
             }
 
+            // Reveal in the magician's chosen language: the summary plus one call for all
+            // topic labels (topic, canonical topic and candidates, duplicates sent once)
+            if (topic && baseLanguage(resultsLanguage) !== baseLanguage(revealLanguage)) {
+                console.log(`Translating summary and topics into ${revealLanguage}...`);
+                const [summaryBack, [topicBack, canonicalBack, ...candidatesBack]] = await Promise.all([
+                    translateText(summary, revealLanguage),
+                    translateLines([topic, canonicalTopic, ...topicCandidates.map(candidate => candidate.topic)], revealLanguage)
+                ]);
+                summary = summaryBack.text;
+                topic = topicBack.text;
+                canonicalTopic = canonicalBack.text;
+                topicCandidates = topicCandidates.map((candidate, index) => ({ ...candidate, topic: candidatesBack[index].text }));
+                translationFailed = translationFailed || [summaryBack, topicBack, canonicalBack, ...candidatesBack].some(result => result.translationFailed);
+
+                console.log(`Final summary: "${summary}"`);
+                console.log(`Final topic: "${topic}"`);
+            }
+
             // Final fallback: ensure topic is never null
             if (!topic || typeof topic !== 'string' || topic === "null" || topic.trim().length === 0) {
                 console.log('Topic invalid, using shortened summary as topic');
@@ -460,19 +547,33 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
                 // Use first 8 words from summary
                 const words = summary.split(/\s+/);
                 topic = words.slice(0, 6).join(" ") + (words.length > 6 ? ".." : "");
+                topicSource = 'summary';
+                canonicalTopic = null;
+                englishCanonicalTopic = null;
             }
 
+            if (!canonicalTopic) {
+                canonicalTopic = canonicalizeTopic(topic);
+            }
+
+            const { category } = await classifyTopic(englishCanonicalTopic || canonicalTopic, { text: englishText });
+
 
             console.log(`\n ========== FINAL RESULTS ==========`);
             console.log(`Summary: "${summary}"`);
-            console.log(`Topic: "${topic}"`);
+            console.log(`Topic: "${topic}" (via ${topicSource}) → canonical "${canonicalTopic}", category ${category}`);
+            if (translationFailed) console.log('⚠️ Some translations failed; untranslated text was used');
 
             // Send to spectator
             if (sessions[sessionId]?.spectator) {
                 sessions[sessionId].spectator.send(JSON.stringify({
                     type: 'summary',
                     summary,
+                    summarySource,
                     topic,
+                    canonicalTopic,
+                    category,
+                    translationFailed,
                     timestamp: Date.now()
                 }));
                 console.log('Summary sent to spectator');
@@ -484,7 +585,20 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
                 sessions[sessionId].magician.send(JSON.stringify({
                     type: 'summarize_complete',
                     summary,
+                    summarySource,
                     topic,
+                    canonicalTopic,
+                    category,
+                    topicSource,
+                    topicCandidates,
+                    entities: await entitiesPromise,
+                    translationFailed,
+                    language,
+                    languageDetection,
+                    revealLanguage,
+                    codeSwitching,
+                    extractionWindow,
+                    speakerSelection,
                     timestamp: Date.now()
                 }));
                 console.log('Summary sent to magician');
@@ -507,8 +621,374 @@ async function processDiarization(audioBuffer, sessionId, language, startKeyword
 }
 
 
+// Non-topic modes: send the structured answer instead of a summary/topic.
+// `topic` carries a readable form for clients that only display a string.
+async function sendTrickResult(sessionId, mode, text, language, details) {
+    const { value, display, source, error } = await extractTrickValue(mode, text, language);
+
+    if (error) {
+        if (sessions[sessionId]?.magician?.readyState === 1) {
+            sessions[sessionId].magician.send(JSON.stringify({
+                type: 'trick_error',
+                mode,
+                ...error,
+                transcript: text,
+                timestamp: Date.now()
+            }));
+        }
+        return;
+    }
+
+    console.log(`\n ========== FINAL RESULTS ==========`);
+    console.log(`Mode: ${mode} | Value: ${JSON.stringify(value)} (via ${source})`);
+
+    if (sessions[sessionId]?.spectator) {
+        sessions[sessionId].spectator.send(JSON.stringify({
+            type: 'summary',
+            mode,
+            result: value,
+            summary: text,
+            summarySource: 'transcript',
+            topic: display,
+            timestamp: Date.now()
+        }));
+        console.log('Result sent to spectator');
+    }
+    sessionTopics[sessionId] = display;
+
+    if (sessions[sessionId]?.magician?.readyState === 1) {
+        sessions[sessionId].magician.send(JSON.stringify({
+            type: 'summarize_complete',
+            mode,
+            result: value,
+            resultSource: source,
+            summary: text,
+            summarySource: 'transcript',
+            topic: display,
+            ...details,
+            timestamp: Date.now()
+        }));
+        console.log('Result sent to magician');
+    }
+}
+
+// Language settings from a chunk body or WS message; absent fields are left as they were
+function updateSessionLanguages(sessionId, { languages, revealLanguage, translateKeywords }) {
+    if (!sessionId) return;
+    const settings = sessionLanguages[sessionId] || {};
+    const list = parseLanguageList(languages);
+    if (list.length > 0) settings.languages = list;
+    if (typeof revealLanguage === 'string' && revealLanguage.trim()) settings.revealLanguage = revealLanguage.trim();
+    if (translateKeywords !== undefined && translateKeywords !== '') settings.translateKeywords = shouldTranslateKeywords(translateKeywords);
+    sessionLanguages[sessionId] = settings;
+}
+
+// Session aliases plus their variants in the session's languages, when the
+// session translates keywords. `auto` sessions use the language detected so far.
+// Each set of aliases and languages is expanded once per session (the first
+// chunk or manual_start, then whenever the settings change). A failed or slow
+// translation leaves the plain aliases for this chunk and is retried on the next.
+async function expandSessionKeywords(sessionId, aliases, language, detectedLanguage) {
+    const settings = sessionLanguages[sessionId] || {};
+    if (aliases.length === 0 || !shouldTranslateKeywords(settings.translateKeywords)) return aliases;
+
+    let spoken = [language];
+    if (isAutoLanguage(language)) spoken = detectedLanguage ? [detectedLanguage] : [];
+    if (isMultiLanguage(language)) spoken = [];
+
+    const languages = [...spoken, ...(settings.languages || [])];
+    const key = JSON.stringify([aliases, languages]);
+    const variants = sessionKeywordVariants[sessionId] || (sessionKeywordVariants[sessionId] = new Map());
+    if (!variants.has(key)) {
+        const expansion = withTimeout(expandKeywordAliases(aliases, languages), KEYWORD_TRANSLATION_TIMEOUT_MS)
+            .then(result => {
+                if (result.translationFailed && variants.get(key) === expansion) variants.delete(key);
+                return result.aliases;
+            })
+            .catch(error => {
+                console.warn(`⚠️ Keyword translation failed (${error.message}), using the plain aliases`);
+                if (variants.get(key) === expansion) variants.delete(key);
+                return aliases;
+            });
+        variants.set(key, expansion);
+    }
+    return variants.get(key);
+}
+
+// Accepts the per-session pre-roll window from form fields or JSON; null when absent/invalid
+function parsePreRollSeconds(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+// Hand over the buffered pre-roll chunks as the start of a new recording
+function takePreRoll(sessionId) {
+    const preRoll = audioChunks[sessionId].preRoll || [];
+    audioChunks[sessionId].preRoll = [];
+
+    if (preRoll.length > 0) {
+        const seconds = preRoll.reduce((sum, chunk) => sum + wavDuration(chunk), 0);
+        console.log(`⏪ Prepending ${seconds.toFixed(2)}s of pre-roll (${preRoll.length} chunk(s))`);
+    }
+    return preRoll;
+}
+
+// Shared chunk pipeline for the HTTP upload route and WebSocket streaming:
+// decode, transcribe, detect keywords, buffer and kick off diarization.
+// `isMagicActive` is the client's 'true'/'false' flag. Returns the response payload.
+// startKeyword/endKeyword may be a phrase or a list of aliases.
+async function processAudioChunk({
+    sessionId,
+    audioBuffer,
+    startKeyword,
+    endKeyword,
+    isMagicActive,
+    chunkNumber,
+    language = 'en',
+    preRollSeconds,
+    keywordStrictness,
+    speakerPolicy
+}) {
+    // Decode WAV/WebM/Ogg up front into canonical 16 kHz mono WAV so a broken
+    // or differently-formatted chunk never reaches the combined audio
+    const {
+        audio: normalizedAudio,
+        container,
+        format: sourceFormat,
+        codecInfo,
+        error: formatError
+    } = await decodeAudio(audioBuffer, audioChunks[sessionId]?.codecInfo);
+
+    if (formatError) {
+        console.warn(`⚠️ Chunk ${chunkNumber} (${container}) has unusable audio: ${formatError.message}`);
+    }
+
+    // Headerless WebM timeslices can only be transcribed once decoded
+    const { result, error } = await transcribeAudio(normalizedAudio || audioBuffer, {
+        language: language,
+        purpose: 'chunk'
+    });
+
+    if (error) {
+        console.error('Transcription error:', error);
+        return { success: false, error: 'Transcription failed' };
+    }
+
+    const transcript = result.transcript;
+    console.log(`Transcript: "${transcript}"`);
+
+    // Per-language aliases count for every language of a code-switching session;
+    // translated variants (cached) let triggers match in the session language
+    const startAliases = await expandSessionKeywords(sessionId, parseKeywordAliases(startKeyword, sessionLanguages[sessionId]?.languages), language, result.detectedLanguage);
+    const endAliases = await expandSessionKeywords(sessionId, parseKeywordAliases(endKeyword, sessionLanguages[sessionId]?.languages), language, result.detectedLanguage);
+
+    if (!audioChunks[sessionId]) {
+        audioChunks[sessionId] = {
+            chunks: [],
+            isRecording: false,
+            startKeywords: startAliases,
+            endKeywords: endAliases,
+            language: language,
+            preRoll: [],
+            preRollSeconds: DEFAULT_PRE_ROLL_SECONDS
+        };
+    }
+
+    // Update keywords and language for the session - ALWAYS update with latest values
+    if (startAliases.length > 0) audioChunks[sessionId].startKeywords = startAliases;
+    if (endAliases.length > 0) audioChunks[sessionId].endKeywords = endAliases;
+    audioChunks[sessionId].language = language || audioChunks[sessionId].language;
+    if (parsePreRollSeconds(preRollSeconds) !== null) {
+        audioChunks[sessionId].preRollSeconds = parsePreRollSeconds(preRollSeconds);
+    }
+    audioChunks[sessionId].keywordStrictness = resolveStrictness(keywordStrictness || audioChunks[sessionId].keywordStrictness);
+    audioChunks[sessionId].speakerPolicy = resolveSpeakerPolicy(speakerPolicy || audioChunks[sessionId].speakerPolicy);
+
+    // console.log(`Session keywords - Start: ${formatAliases(audioChunks[sessionId].startKeywords)}, End: ${formatAliases(audioChunks[sessionId].endKeywords)}`);
+
+    if (codecInfo) {
+        audioChunks[sessionId].codecInfo = codecInfo;
+    }
+    if (!formatError) {
+        const previousFormat = audioChunks[sessionId].sourceFormat;
+        if (previousFormat && (previousFormat.sampleRate !== sourceFormat.sampleRate || previousFormat.numChannels !== sourceFormat.numChannels)) {
+            console.log(`🎙️ Input format changed: ${previousFormat.sampleRate}Hz/${previousFormat.numChannels}ch → ${sourceFormat.sampleRate}Hz/${sourceFormat.numChannels}ch`);
+        }
+        audioChunks[sessionId].sourceFormat = sourceFormat;
+    }
+
+    // A chunk holding both keywords is stored once
+    let chunkStored = false;
+    const storeChunk = (note = '') => {
+        if (chunkStored) return;
+        chunkStored = true;
+        if (formatError) {
+            reportAudioProblems(sessionId, [{ chunk: chunkNumber, ...formatError }]);
+            return;
+        }
+        audioChunks[sessionId].chunks.push(normalizedAudio);
+        console.log(`Stored chunk ${audioChunks[sessionId].chunks.length} (${normalizedAudio.length} bytes)${note}`);
+    };
+
+    // Send live transcript to magician
+    if (sessions[sessionId]?.magician?.readyState === 1) {
+        sessions[sessionId].magician.send(JSON.stringify({
+            type: 'transcript',
+            text: transcript,
+            timestamp: Date.now()
+        }));
+    }
+
+    // Match keywords against the tail of earlier transcripts plus this chunk,
+    // so a phrase split across two chunks ("let me" / "think") is still detected
+    const transcriptWindow = buildTranscriptWindow(audioChunks[sessionId].transcriptTail, transcript);
+    const strictness = audioChunks[sessionId].keywordStrictness;
+    const startMatch = findKeywordInWindow(transcriptWindow, audioChunks[sessionId].startKeywords, strictness);
+    let endMatch = findKeywordInWindow(transcriptWindow, audioChunks[sessionId].endKeywords, strictness);
+
+    const hasStartKeyword = Boolean(startMatch);
+    let hasEndKeyword = Boolean(endMatch);
+    let magicActive = isMagicActive === 'true';
+
+    // Carry the window forward; a keyword that fires below consumes its text
+    audioChunks[sessionId].transcriptTail = nextTranscriptTail(transcriptWindow);
+
+    // Start recording
+    if (hasStartKeyword && isMagicActive === 'false') {
+        console.log('START KEYWORD DETECTED - Begin storing chunks');
+        console.log(`Start keyword: "${startMatch.alias}" matched "${startMatch.matched}" (${startMatch.matchType}, confidence ${startMatch.confidence}) in: "${transcriptWindow.text}"${startMatch.spansChunks ? ' (across chunks)' : ''}`);
+        audioChunks[sessionId].transcriptTail = nextTranscriptTail(transcriptWindow, startMatch.end);
+        // Prepend the pre-roll so words right after the keyword are never lost
+        audioChunks[sessionId].chunks = takePreRoll(sessionId);
+        audioChunks[sessionId].isRecording = true;
+
+        // IMPORTANT: Store the chunk that contains the start keyword
+        storeChunk(' - Contains start keyword');
+        console.log(` Transcript: "${transcript}"`);
+
+        if (sessions[sessionId]?.magician?.readyState === 1) {
+            sessions[sessionId].magician.send(JSON.stringify({
+                type: 'keyword_detected',
+                keyword: 'start',
+                alias: startMatch.alias,
+                transcript,
+                matched: startMatch.matched,
+                matchType: startMatch.matchType,
+                confidence: startMatch.confidence,
+                timestamp: Date.now()
+            }));
+        }
+
+        // The whole trick may fit in this chunk: look for the end keyword after the start one
+        endMatch = findKeywordInWindow(transcriptWindow, audioChunks[sessionId].endKeywords, strictness, startMatch.end);
+        hasEndKeyword = Boolean(endMatch);
+        if (!hasEndKeyword) {
+            return { success: true, transcript, keywordDetected: true, keyword: 'start', alias: startMatch.alias, confidence: startMatch.confidence, formatError };
+        }
+        magicActive = true;
+    }
+
+    // Store chunk if recording (but not if it contains end keyword)
+    if (audioChunks[sessionId].isRecording && !hasEndKeyword) {
+        storeChunk();
+        console.log(` Transcript: "${transcript}"`);
+    } else if (!audioChunks[sessionId].isRecording && !formatError) {
+        // Not recording yet: keep the last few seconds around as pre-roll
+        appendToPreRoll(audioChunks[sessionId].preRoll, normalizedAudio, audioChunks[sessionId].preRollSeconds);
+    }
+
+    // End keyword detected
+    if (hasEndKeyword && magicActive) {
+        console.log('END KEYWORD DETECTED - Processing stored audio');
+        console.log(`End keyword: "${endMatch.alias}" matched "${endMatch.matched}" (${endMatch.matchType}, confidence ${endMatch.confidence}) in: "${transcriptWindow.text}"${endMatch.spansChunks ? ' (across chunks)' : ''}`);
+        audioChunks[sessionId].transcriptTail = nextTranscriptTail(transcriptWindow, endMatch.end);
+
+        audioChunks[sessionId].isRecording = false;
+
+        // IMPORTANT: Store the chunk that contains the end keyword
+        storeChunk(' - Contains end keyword');
+        console.log(`Transcript: "${transcript}"`);
+
+        // Notify magician to stop mic
+        if (sessions[sessionId]?.magician?.readyState === 1) {
+            sessions[sessionId].magician.send(JSON.stringify({
+                type: 'keyword_detected',
+                keyword: 'end',
+                alias: endMatch.alias,
+                transcript,
+                matched: endMatch.matched,
+                matchType: endMatch.matchType,
+                confidence: endMatch.confidence,
+                timestamp: Date.now()
+            }));
+        }
+
+        if (audioChunks[sessionId].chunks.length > 0) {
+            console.log(`🎬 Processing ${audioChunks[sessionId].chunks.length} stored chunks`);
+            const { audio: combinedAudio, problems } = combineWavBuffers(audioChunks[sessionId].chunks);
+            console.log(`Combined audio size: ${combinedAudio.length} bytes`);
+            reportAudioProblems(sessionId, problems);
+
+            processDiarization(
+                combinedAudio,
+                sessionId,
+                audioChunks[sessionId].language || language,
+                audioChunks[sessionId].startKeywords,
+                audioChunks[sessionId].endKeywords
+            ).catch(err =>
+                console.error('Error in diarization:', err)
+            );
+
+            audioChunks[sessionId].chunks = [];
+        } else {
+            console.log('No chunks stored to process');
+            if (sessions[sessionId]?.magician?.readyState === 1) {
+                sessions[sessionId].magician.send(JSON.stringify({
+                    type: 'no_recording_error',
+                    error: 'no_chunks_captured',
+                    message: 'No audio captured during magic. Recording was too short or silent.',
+                    timestamp: Date.now()
+                }));
+                console.log('No chunks error sent to magician');
+            }
+        }
+
+        return { success: true, transcript, keywordDetected: true, keyword: 'end', alias: endMatch.alias, confidence: endMatch.confidence, formatError };
+    }
+
+    // Send transcript to spectator if magic active
+    if (isMagicActive === 'true' && transcript) {
+        if (sessions[sessionId]?.spectator?.readyState === 1) {
+            sessions[sessionId].spectator.send(JSON.stringify({
+                type: 'transcript',
+                text: transcript,
+                timestamp: Date.now()
+            }));
+        }
+    }
+
+    return { success: true, transcript, keywordDetected: false, formatError };
+}
+
 app.post('/api/process-audio-chunk', upload.single('audio'), async (req, res) => {
-    const { sessionId, startKeyword, endKeyword, isMagicActive, chunkNumber, language = 'en' } = req.body;
+    const {
+        sessionId,
+        startKeyword,
+        endKeyword,
+        startKeywords,
+        endKeywords,
+        isMagicActive,
+        chunkNumber,
+        language = 'en',
+        preRollSeconds,
+        keywordStrictness,
+        speakerPolicy,
+        mode,
+        languages,
+        revealLanguage,
+        translateKeywords
+    } = req.body;
 
     console.log(`\n ========== CHUNK ${chunkNumber} ==========`);
     // console.log(`Session: ${sessionId}`);
@@ -518,179 +998,293 @@ app.post('/api/process-audio-chunk', upload.single('audio'), async (req, res) =>
 
     if (!req.file) return res.status(400).json({ error: 'No audio file provided' });
 
+    if (mode && sessionId) {
+        sessionModes[sessionId] = resolveTrickMode(mode);
+    }
+    updateSessionLanguages(sessionId, { languages, revealLanguage, translateKeywords });
+
     const filePath = req.file.path;
 
     try {
         const audioBuffer = fs.readFileSync(filePath);
         // console.log(`Size: ${audioBuffer.length} bytes`);
 
-        const { result, error } = await deepgram.listen.prerecorded.transcribeFile(audioBuffer, {
-            model: 'nova-3',
-            smart_format: true,
-            filler_words: true,
-            endpointing: 500,
-            language: language,
-            timeout: 15000
+        fs.unlinkSync(filePath);
+
+        const chunkResult = await processAudioChunk({
+            sessionId,
+            audioBuffer,
+            startKeyword: startKeywords ?? startKeyword,
+            endKeyword: endKeywords ?? endKeyword,
+            isMagicActive,
+            chunkNumber,
+            language,
+            preRollSeconds,
+            keywordStrictness,
+            speakerPolicy
         });
 
+        if (!chunkResult.success) {
+            return res.status(500).json({ error: chunkResult.error });
+        }
+        res.json(chunkResult);
+
+    } catch (err) {
+        console.error('Error:', err);
+        try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch (e) { }
+        res.status(500).json({ error: 'Processing failed', message: err.message });
+    }
+});
+
+
+// Magician voice enrollment: a short sample of the magician talking alone
+app.post('/api/enroll-voice', upload.single('audio'), async (req, res) => {
+    const { sessionId } = req.body;
+    const voiceprintId = req.body.voiceprintId || sessionId;
+
+    console.log(`\n ========== VOICE ENROLLMENT ==========`);
+    console.log(`Voiceprint: ${voiceprintId}`);
+
+    if (!req.file) return res.status(400).json({ error: 'No audio file provided' });
+    if (!voiceprintId) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'sessionId or voiceprintId is required' });
+    }
+
+    const filePath = req.file.path;
+
+    try {
+        const audioBuffer = fs.readFileSync(filePath);
         fs.unlinkSync(filePath);
 
-        if (error) {
-            console.error('Deepgram error:', error);
-            return res.status(500).json({ error: 'Transcription failed' });
+        const { audio, error: formatError } = await decodeAudio(audioBuffer);
+        if (formatError) {
+            return res.status(400).json({ error: 'Unsupported audio', message: formatError.message });
         }
 
-        const transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
-        console.log(`Transcript: "${transcript}"`);
-
-        if (!audioChunks[sessionId]) {
-            audioChunks[sessionId] = {
-                chunks: [],
-                isRecording: false,
-                startKeyword: startKeyword,
-                endKeyword: endKeyword,
-                language: language
-            };
+        const { samples, sampleRate } = wavToSamples(audio);
+        const print = computeVoiceprint(samples, sampleRate);
+        if (!print) {
+            return res.status(400).json({
+                error: 'Not enough speech',
+                message: `Please record at least ${MIN_VOICE_SECONDS} second(s) of clear speech.`
+            });
         }
 
-        // Update keywords and language for the session - ALWAYS update with latest values
-        audioChunks[sessionId].startKeyword = startKeyword || audioChunks[sessionId].startKeyword;
-        audioChunks[sessionId].endKeyword = endKeyword || audioChunks[sessionId].endKeyword;
-        audioChunks[sessionId].language = language || audioChunks[sessionId].language;
+        const voiceprint = { id: voiceprintId, ...print, createdAt: Date.now() };
+        voiceprints[voiceprintId] = voiceprint;
+        if (sessionId) sessionVoiceprints[sessionId] = voiceprintId;
 
-        // console.log(`Session keywords - Start: "${audioChunks[sessionId].startKeyword}", End: "${audioChunks[sessionId].endKeyword}"`);
+        const fileName = `${voiceprintId.replace(/[^\w-]/g, '_')}.json`;
+        fs.writeFileSync(path.join(voiceprintDir, fileName), JSON.stringify(voiceprint));
+        console.log(`Voiceprint stored (${print.voicedSeconds}s of voiced audio)`);
 
-        // Send live transcript to magician
         if (sessions[sessionId]?.magician?.readyState === 1) {
             sessions[sessionId].magician.send(JSON.stringify({
-                type: 'transcript',
-                text: transcript,
+                type: 'voice_enrolled',
+                voiceprintId,
+                voicedSeconds: print.voicedSeconds,
                 timestamp: Date.now()
             }));
         }
 
-        // Normalize transcript and keywords to handle punctuation
-        const normalizedTranscript = normalizeText(transcript);
-        const normalizedStartKeyword = startKeyword ? normalizeText(startKeyword) : '';
-        const normalizedEndKeyword = endKeyword ? normalizeText(endKeyword) : '';
+        res.json({ success: true, voiceprintId, voicedSeconds: print.voicedSeconds });
+
+    } catch (err) {
+        console.error('Enrollment error:', err);
+        try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch (e) { }
+        res.status(500).json({ error: 'Enrollment failed', message: err.message });
+    }
+});
+
 
-        const hasStartKeyword = normalizedStartKeyword && normalizedTranscript.includes(normalizedStartKeyword);
-        const hasEndKeyword = normalizedEndKeyword && normalizedTranscript.includes(normalizedEndKeyword);
+wss.on('connection', (ws) => {
+    console.log('New WebSocket connection');
+    let sessionId, clientRole;
 
-        // Start recording
-        if (hasStartKeyword && isMagicActive === 'false') {
-            console.log('START KEYWORD DETECTED - Begin storing chunks');
-            console.log(`Start keyword: "${startKeyword}" found in: "${transcript}"`);
-            audioChunks[sessionId].chunks = [];
-            audioChunks[sessionId].isRecording = true;
+    // Binary streaming state (magician only): keywords/language are sent once
+    // on join or stream_config instead of with every chunk
+    let streamConfig = {
+        startKeyword: undefined,
+        endKeyword: undefined,
+        language: 'en',
+        preRollSeconds: undefined,
+        keywordStrictness: undefined,
+        speakerPolicy: undefined
+    };
+    let streamChunkNumber = 0;
+    let streamQueue = Promise.resolve();
+
+    const handleStreamFrame = async (audioBuffer) => {
+        const chunkNumber = ++streamChunkNumber;
+        console.log(`\n ========== STREAM CHUNK ${chunkNumber} ==========`);
 
-            // IMPORTANT: Store the chunk that contains the start keyword
-            audioChunks[sessionId].chunks.push(audioBuffer);
-            console.log(` Stored chunk ${audioChunks[sessionId].chunks.length} (${audioBuffer.length} bytes) - Contains start keyword`);
-            console.log(` Transcript: "${transcript}"`);
+        try {
+            // The server owns the recording state in streaming mode
+            const isMagicActive = String(Boolean(audioChunks[sessionId]?.isRecording));
+
+            const chunkResult = await processAudioChunk({
+                sessionId,
+                audioBuffer,
+                startKeyword: streamConfig.startKeyword,
+                endKeyword: streamConfig.endKeyword,
+                isMagicActive,
+                chunkNumber,
+                language: streamConfig.language,
+                preRollSeconds: streamConfig.preRollSeconds,
+                keywordStrictness: streamConfig.keywordStrictness,
+                speakerPolicy: streamConfig.speakerPolicy
+            });
 
-            if (sessions[sessionId]?.magician?.readyState === 1) {
-                sessions[sessionId].magician.send(JSON.stringify({
-                    type: 'keyword_detected',
-                    keyword: 'start',
-                    transcript,
+            if (ws.readyState === 1) {
+                ws.send(JSON.stringify({
+                    type: chunkResult.success ? 'chunk_processed' : 'chunk_error',
+                    chunkNumber,
+                    ...chunkResult,
                     timestamp: Date.now()
                 }));
             }
-
-            return res.json({ success: true, transcript, keywordDetected: true, keyword: 'start' });
+        } catch (err) {
+            console.error('Stream chunk error:', err);
+            if (ws.readyState === 1) {
+                ws.send(JSON.stringify({
+                    type: 'chunk_error',
+                    chunkNumber,
+                    error: 'Processing failed',
+                    message: err.message,
+                    timestamp: Date.now()
+                }));
+            }
+        }
+    };
+
+    const handleManualStart = async (data) => {
+        const { sessionId, language = 'en', preRollSeconds, keywordStrictness, speakerPolicy } = data;
+        const startAliases = await expandSessionKeywords(sessionId, parseKeywordAliases(data.startKeywords ?? data.startKeyword, sessionLanguages[sessionId]?.languages), language);
+        const endAliases = await expandSessionKeywords(sessionId, parseKeywordAliases(data.endKeywords ?? data.endKeyword, sessionLanguages[sessionId]?.languages), language);
+        console.log(`\n ========== MANUAL START ==========`);
+        console.log(`Session: ${sessionId}`);
+        console.log(`Keywords - Start: ${formatAliases(startAliases)}, End: ${formatAliases(endAliases)}`);
+        console.log(`Language: ${language}`);
+
+        // Initialize audio chunks storage
+        if (!audioChunks[sessionId]) {
+            audioChunks[sessionId] = {
+                chunks: [],
+                isRecording: false,
+                startKeywords: startAliases,
+                endKeywords: endAliases,
+                language: language,
+                preRoll: [],
+                preRollSeconds: DEFAULT_PRE_ROLL_SECONDS
+            };
+        } else {
+            audioChunks[sessionId].startKeywords = startAliases;
+            audioChunks[sessionId].endKeywords = endAliases;
+            audioChunks[sessionId].language = language;
         }
+        if (parsePreRollSeconds(preRollSeconds) !== null) {
+            audioChunks[sessionId].preRollSeconds = parsePreRollSeconds(preRollSeconds);
+        }
+        audioChunks[sessionId].keywordStrictness = resolveStrictness(keywordStrictness || audioChunks[sessionId].keywordStrictness);
+        audioChunks[sessionId].speakerPolicy = resolveSpeakerPolicy(speakerPolicy || audioChunks[sessionId].speakerPolicy);
+
+        // Start recording, beginning with whatever pre-roll was buffered
+        audioChunks[sessionId].chunks = takePreRoll(sessionId);
+        audioChunks[sessionId].transcriptTail = '';
+        audioChunks[sessionId].isRecording = true;
+        console.log('Manual start - Recording activated');
 
-        // Store chunk if recording (but not if it contains end keyword)
-        if (audioChunks[sessionId].isRecording && !hasEndKeyword) {
-            audioChunks[sessionId].chunks.push(audioBuffer);
-            console.log(`Stored chunk ${audioChunks[sessionId].chunks.length} (${audioBuffer.length} bytes)`);
-            console.log(` Transcript: "${transcript}"`);
+        // Notify magician that magic has started
+        if (sessions[sessionId]?.magician && sessions[sessionId].magician.readyState === 1) {
+            sessions[sessionId].magician.send(JSON.stringify({
+                type: 'keyword_detected',
+                keyword: 'start',
+                transcript: '[Manual Start]',
+                timestamp: Date.now()
+            }));
         }
+    };
 
-        // End keyword detected
-        if (hasEndKeyword && isMagicActive === 'true') {
-            console.log('END KEYWORD DETECTED - Processing stored audio');
-            console.log(`End keyword: "${endKeyword}" found in: "${transcript}"`);
+    const handleManualEnd = async (data) => {
+        const { sessionId, language = 'en' } = data;
+        console.log(`\n========== MANUAL STOP ==========`);
+        console.log(`Session: ${sessionId}`);
 
+        if (audioChunks[sessionId] && audioChunks[sessionId].chunks.length > 0) {
             audioChunks[sessionId].isRecording = false;
 
-            // IMPORTANT: Store the chunk that contains the end keyword
-            audioChunks[sessionId].chunks.push(audioBuffer);
-            console.log(`Stored chunk ${audioChunks[sessionId].chunks.length} (${audioBuffer.length} bytes) - Contains end keyword`);
-            console.log(`Transcript: "${transcript}"`);
+            const { audio: combinedAudio, problems } = combineWavBuffers(audioChunks[sessionId].chunks);
+            console.log(`Processing ${audioChunks[sessionId].chunks.length} chunks (${combinedAudio.length} bytes)`);
+            reportAudioProblems(sessionId, problems);
+            console.log(`Using keywords - Start: ${formatAliases(audioChunks[sessionId].startKeywords)}, End: ${formatAliases(audioChunks[sessionId].endKeywords)}`);
+
+            processDiarization(
+                combinedAudio,
+                sessionId,
+                audioChunks[sessionId].language || language,
+                audioChunks[sessionId].startKeywords,
+                audioChunks[sessionId].endKeywords
+            ).catch(err =>
+                console.error('Error in diarization:', err)
+            );
+
+            // Clear chunks after processing
+            audioChunks[sessionId].chunks = [];
+        } else {
+            const wasRecording = audioChunks[sessionId]?.isRecording;
+            const errorReason = wasRecording ? 'no_chunks_captured' : 'magic_not_started';
 
-            // Notify magician to stop mic
-            if (sessions[sessionId]?.magician?.readyState === 1) {
+            console.log(`Manual stop but ${wasRecording ? 'no chunks captured' : 'magic never started'}`);
+
+            if (sessions[sessionId]?.magician && sessions[sessionId].magician.readyState === 1) {
                 sessions[sessionId].magician.send(JSON.stringify({
-                    type: 'keyword_detected',
-                    keyword: 'end',
-                    transcript,
+                    type: 'no_recording_error',
+                    error: errorReason,
+                    message: wasRecording
+                        ? 'No audio captured during magic. Recording was too short or silent.'
+                        : 'Magic was never started. Please start magic before stopping.',
                     timestamp: Date.now()
                 }));
             }
-
-            if (audioChunks[sessionId].chunks.length > 0) {
-                console.log(`🎬 Processing ${audioChunks[sessionId].chunks.length} stored chunks`);
-                const combinedAudio = combineWavBuffers(audioChunks[sessionId].chunks);
-                console.log(`Combined audio size: ${combinedAudio.length} bytes`);
-
-                processDiarization(
-                    combinedAudio,
-                    sessionId,
-                    audioChunks[sessionId].language || language,
-                    audioChunks[sessionId].startKeyword,
-                    audioChunks[sessionId].endKeyword
-                ).catch(err =>
-                    console.error('Error in diarization:', err)
-                );
-
-                audioChunks[sessionId].chunks = [];
-            } else {
-                console.log('No chunks stored to process');
-                if (sessions[sessionId]?.magician?.readyState === 1) {
-                    sessions[sessionId].magician.send(JSON.stringify({
-                        type: 'no_recording_error',
-                        error: 'no_chunks_captured',
-                        message: 'No audio captured during magic. Recording was too short or silent.',
-                        timestamp: Date.now()
-                    }));
-                    console.log('No chunks error sent to magician');
-                }
-            }
-
-            return res.json({ success: true, transcript, keywordDetected: true, keyword: 'end' });
         }
-
-        // Send transcript to spectator if magic active
-        if (isMagicActive === 'true' && transcript) {
-            if (sessions[sessionId]?.spectator?.readyState === 1) {
-                sessions[sessionId].spectator.send(JSON.stringify({
-                    type: 'transcript',
-                    text: transcript,
+    };
+
+    ws.on('message', async (message, isBinary) => {
+        if (isBinary) {
+            if (!sessionId || clientRole !== 'magician') {
+                ws.send(JSON.stringify({
+                    type: 'chunk_error',
+                    error: 'not_joined',
+                    message: 'Join the session as magician before streaming audio.',
                     timestamp: Date.now()
                 }));
+                return;
             }
-        }
 
-        res.json({ success: true, transcript, keywordDetected: false });
-
-    } catch (err) {
-        console.error('Error:', err);
-        try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch (e) { }
-        res.status(500).json({ error: 'Processing failed', message: err.message });
-    }
-});
-
-
-wss.on('connection', (ws) => {
-    console.log('New WebSocket connection');
-    let sessionId, clientRole;
+            // Process frames strictly in arrival order so chunks are buffered in sequence
+            const audioBuffer = Buffer.from(message);
+            streamQueue = streamQueue.then(() => handleStreamFrame(audioBuffer));
+            return;
+        }
 
-    ws.on('message', async (message) => {
         try {
             const data = JSON.parse(message.toString());
 
+            if (data.type === 'join' || data.type === 'stream_config' || data.type === 'manual_start') {
+                if ((data.startKeywords ?? data.startKeyword) !== undefined) streamConfig.startKeyword = data.startKeywords ?? data.startKeyword;
+                if ((data.endKeywords ?? data.endKeyword) !== undefined) streamConfig.endKeyword = data.endKeywords ?? data.endKeyword;
+                if (data.language) streamConfig.language = data.language;
+                if (data.preRollSeconds !== undefined) streamConfig.preRollSeconds = data.preRollSeconds;
+                if (data.keywordStrictness) streamConfig.keywordStrictness = data.keywordStrictness;
+                if (data.speakerPolicy) streamConfig.speakerPolicy = data.speakerPolicy;
+                if (data.mode && (data.sessionId || sessionId)) {
+                    sessionModes[data.sessionId || sessionId] = resolveTrickMode(data.mode);
+                    console.log(`Trick mode for ${data.sessionId || sessionId}: ${sessionModes[data.sessionId || sessionId]}`);
+                }
+                updateSessionLanguages(data.sessionId || sessionId, data);
+            }
+
             if (data.type === 'join') {
                 sessionId = data.sessionId;
                 clientRole = data.role;
@@ -703,6 +1297,11 @@ wss.on('connection', (ws) => {
                 sessions[sessionId][clientRole] = ws;
                 console.log(`${clientRole} joined session: ${sessionId}`);
 
+                // A magician who enrolled earlier can reuse their voiceprint in a new session
+                if (clientRole === 'magician' && data.voiceprintId) {
+                    sessionVoiceprints[sessionId] = data.voiceprintId;
+                }
+
                 ws.send(JSON.stringify({ type: 'joined', sessionId, role: clientRole }));
                 if (clientRole === 'spectator' && sessionTopics[sessionId]) {
                     ws.send(JSON.stringify({
@@ -724,85 +1323,14 @@ wss.on('connection', (ws) => {
                 }
             }
 
+            // Queued behind the binary frames already received, so the recording
+            // starts/ends exactly where the magician pressed the button
             if (data.type === 'manual_start') {
-                const { sessionId, startKeyword, endKeyword, language = 'en' } = data;
-                console.log(`\n ========== MANUAL START ==========`);
-                console.log(`Session: ${sessionId}`);
-                console.log(`Keywords - Start: "${startKeyword}", End: "${endKeyword}"`);
-                console.log(`Language: ${language}`);
-
-                // Initialize audio chunks storage
-                if (!audioChunks[sessionId]) {
-                    audioChunks[sessionId] = {
-                        chunks: [],
-                        isRecording: false,
-                        startKeyword: startKeyword,
-                        endKeyword: endKeyword,
-                        language: language
-                    };
-                } else {
-                    audioChunks[sessionId].startKeyword = startKeyword;
-                    audioChunks[sessionId].endKeyword = endKeyword;
-                    audioChunks[sessionId].language = language;
-                }
-
-                // Start recording
-                audioChunks[sessionId].chunks = [];
-                audioChunks[sessionId].isRecording = true;
-                console.log('Manual start - Recording activated');
-
-                // Notify magician that magic has started
-                if (sessions[sessionId]?.magician && sessions[sessionId].magician.readyState === 1) {
-                    sessions[sessionId].magician.send(JSON.stringify({
-                        type: 'keyword_detected',
-                        keyword: 'start',
-                        transcript: '[Manual Start]',
-                        timestamp: Date.now()
-                    }));
-                }
+                streamQueue = streamQueue.then(() => handleManualStart(data)).catch(err => console.error('Manual start error:', err));
             }
 
             if (data.type === 'manual_end') {
-                const { sessionId, language = 'en' } = data;
-                console.log(`\n========== MANUAL STOP ==========`);
-                console.log(`Session: ${sessionId}`);
-
-                if (audioChunks[sessionId] && audioChunks[sessionId].chunks.length > 0) {
-                    audioChunks[sessionId].isRecording = false;
-
-                    const combinedAudio = combineWavBuffers(audioChunks[sessionId].chunks);
-                    console.log(`Processing ${audioChunks[sessionId].chunks.length} chunks (${combinedAudio.length} bytes)`);
-                    console.log(`Using keywords - Start: "${audioChunks[sessionId].startKeyword}", End: "${audioChunks[sessionId].endKeyword}"`);
-
-                    processDiarization(
-                        combinedAudio,
-                        sessionId,
-                        audioChunks[sessionId].language || language,
-                        audioChunks[sessionId].startKeyword,
-                        audioChunks[sessionId].endKeyword
-                    ).catch(err =>
-                        console.error('Error in diarization:', err)
-                    );
-
-                    // Clear chunks after processing
-                    audioChunks[sessionId].chunks = [];
-                } else {
-                    const wasRecording = audioChunks[sessionId]?.isRecording;
-                    const errorReason = wasRecording ? 'no_chunks_captured' : 'magic_not_started';
-
-                    console.log(`Manual stop but ${wasRecording ? 'no chunks captured' : 'magic never started'}`);
-
-                    if (sessions[sessionId]?.magician && sessions[sessionId].magician.readyState === 1) {
-                        sessions[sessionId].magician.send(JSON.stringify({
-                            type: 'no_recording_error',
-                            error: errorReason,
-                            message: wasRecording
-                                ? 'No audio captured during magic. Recording was too short or silent.'
-                                : 'Magic was never started. Please start magic before stopping.',
-                            timestamp: Date.now()
-                        }));
-                    }
-                }
+                streamQueue = streamQueue.then(() => handleManualEnd(data)).catch(err => console.error('Manual stop error:', err));
             }
 
             if (data.type === "topic_searched") {
@@ -825,7 +1353,12 @@ wss.on('connection', (ws) => {
             if (Object.keys(sessions[sessionId]).length === 0) {
                 delete sessions[sessionId];
                 delete speechHistory[sessionId];
+                releaseOpusDecoder(audioChunks[sessionId]?.codecInfo);
                 delete audioChunks[sessionId];
+                delete sessionVoiceprints[sessionId];
+                delete sessionModes[sessionId];
+                delete sessionLanguages[sessionId];
+                delete sessionKeywordVariants[sessionId];
                 console.log(`Cleaned up session: ${sessionId}`);
             }
         }
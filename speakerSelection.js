@@ -0,0 +1,121 @@
+// Decide which diarized speaker is the spectator
+
+const SPEAKER_POLICIES = ['spectator-is-non-keyword-speaker', 'longest-speaker'];
+
+const DEFAULT_SPEAKER_POLICY = isValidSpeakerPolicy(process.env.SPEAKER_POLICY)
+    ? process.env.SPEAKER_POLICY
+    : 'spectator-is-non-keyword-speaker';
+
+// Policies: spectator-is-non-keyword-speaker, longest-speaker or speaker-N
+function isValidSpeakerPolicy(policy) {
+    return typeof policy === 'string' && (SPEAKER_POLICIES.includes(policy) || /^speaker-\d+$/.test(policy));
+}
+
+function resolveSpeakerPolicy(policy) {
+    return isValidSpeakerPolicy(policy) ? policy : DEFAULT_SPEAKER_POLICY;
+}
+
+function speakerOf(word) {
+    return word.speaker !== undefined ? word.speaker : 0;
+}
+
+function countWordsBySpeaker(words) {
+    const counts = new Map();
+    words.forEach(word => counts.set(speakerOf(word), (counts.get(speakerOf(word)) || 0) + 1));
+    return counts;
+}
+
+function longestOf(counts, candidates) {
+    return candidates.reduce((best, speaker) => (best === null || counts.get(speaker) > counts.get(best) ? speaker : best), null);
+}
+
+// Speakers who uttered the matched start/end keywords (normally just the magician)
+function keywordSpeakers(words, extraction) {
+    const speakers = new Set();
+    [extraction.startMatch, extraction.endMatch].forEach(match => {
+        if (!match || match.firstWord < 0) return;
+        const lastWord = match.lastWord >= 0 ? match.lastWord : match.firstWord;
+        words.slice(match.firstWord, lastWord + 1).forEach(word => speakers.add(speakerOf(word)));
+    });
+    return [...speakers];
+}
+
+// Pick the spectator among the speakers heard between the keywords.
+// `extraction` is the result of extractWordsBetweenKeywords over all words and
+// `voiceMatch` the optional result of matchVoiceprint (the enrolled magician).
+// Returns { policy, speaker, magicianSpeakers, voiceMatch, reason }; speaker is
+// null when everyone's words should be kept.
+function selectSpectatorSpeaker({ words, extraction, policy, voiceMatch = null }) {
+    const resolvedPolicy = resolveSpeakerPolicy(policy);
+    const windowWords = extraction.words.length > 0 ? extraction.words : words;
+    const counts = countWordsBySpeaker(windowWords);
+    const magicianSpeakers = keywordSpeakers(words, extraction);
+    const voiceSpeaker = voiceMatch && voiceMatch.speaker !== null ? voiceMatch.speaker : null;
+
+    if (voiceSpeaker !== null && !magicianSpeakers.includes(voiceSpeaker)) {
+        magicianSpeakers.push(voiceSpeaker);
+    }
+
+    const result = (speaker, reason) => ({
+        policy: resolvedPolicy,
+        speaker,
+        magicianSpeakers,
+        voiceMatch,
+        reason: voiceSpeaker !== null ? `${reason} (speaker ${voiceSpeaker} matches the enrolled magician voice)` : reason
+    });
+
+    // The enrolled magician is never the spectator, unless a policy pins a speaker
+    const fixed = resolvedPolicy.match(/^speaker-(\d+)$/);
+    if (voiceSpeaker !== null && !fixed && counts.size > 1) {
+        counts.delete(voiceSpeaker);
+    }
+    const windowSpeakers = [...counts.keys()];
+
+    if (windowSpeakers.length === 0) {
+        return result(null, 'No words to choose from');
+    }
+    if (windowSpeakers.length === 1) {
+        return result(windowSpeakers[0], `Only speaker ${windowSpeakers[0]} was heard between the keywords`);
+    }
+
+    if (fixed) {
+        const speaker = Number(fixed[1]);
+        if (counts.has(speaker)) {
+            return result(speaker, `Policy fixes the spectator as speaker ${speaker}`);
+        }
+        const fallback = longestOf(counts, windowSpeakers);
+        return result(fallback, `Speaker ${speaker} said nothing between the keywords; using longest speaker ${fallback}`);
+    }
+
+    if (resolvedPolicy === 'longest-speaker') {
+        const speaker = longestOf(counts, windowSpeakers);
+        return result(speaker, `Speaker ${speaker} said the most (${counts.get(speaker)} words)`);
+    }
+
+    // spectator-is-non-keyword-speaker
+    if (magicianSpeakers.length === 0) {
+        const speaker = longestOf(counts, windowSpeakers);
+        return result(speaker, `No keyword found in the diarized words; using longest speaker ${speaker}`);
+    }
+
+    const candidates = windowSpeakers.filter(speaker => !magicianSpeakers.includes(speaker));
+    if (candidates.length === 0) {
+        return result(null, `Only the keyword speaker(s) ${magicianSpeakers.join(', ')} spoke; keeping all words`);
+    }
+
+    const speaker = longestOf(counts, candidates);
+    return result(speaker, `Speaker ${magicianSpeakers.join(', ')} said the keywords (magician); speaker ${speaker} is the spectator`);
+}
+
+// Words belonging to the chosen speaker (all words when speaker is null)
+function filterWordsBySpeaker(words, speaker) {
+    if (speaker === null || speaker === undefined) return words;
+    return words.filter(word => speakerOf(word) === speaker);
+}
+
+module.exports = {
+    DEFAULT_SPEAKER_POLICY,
+    resolveSpeakerPolicy,
+    selectSpectatorSpeaker,
+    filterWordsBySpeaker
+};
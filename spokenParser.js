@@ -0,0 +1,465 @@
+// Deterministic parsers for spoken answers: numbers ("two hundred and six",
+// "a dozen"), playing cards ("the seven of clubs", "ace spades") and dates
+// ("the fourth of July"). No network, no randomness: card and number reveals
+// must not wait on an LLM. Supports English, Spanish, French and German; the
+// session language is tried first, then English.
+
+const NUMBER_WORDS = {
+    en: {
+        units: {
+            zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+            nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+            sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30,
+            forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+        },
+        hundreds: { hundred: 100 },
+        scales: { thousand: 1000, million: 1000000 },
+        dozens: { dozen: 12, dozens: 12 },
+        connectors: ['and', 'a'],
+        ordinals: {
+            first: 1, second: 2, third: 3, fifth: 5, eighth: 8, ninth: 9, twelfth: 12
+        }
+    },
+    es: {
+        units: {
+            cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7,
+            ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+            dieciséis: 16, dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19, veinte: 20,
+            veintiuno: 21, veintiún: 21, veintidós: 22, veintidos: 22, veintitrés: 23, veintitres: 23,
+            veinticuatro: 24, veinticinco: 25, veintiséis: 26, veintiseis: 26, veintisiete: 27,
+            veintiocho: 28, veintinueve: 29, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60,
+            setenta: 70, ochenta: 80, noventa: 90, cien: 100, ciento: 100, doscientos: 200,
+            doscientas: 200, trescientos: 300, trescientas: 300, cuatrocientos: 400,
+            quinientos: 500, seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900
+        },
+        hundreds: {},
+        scales: { mil: 1000, millón: 1000000, millon: 1000000, millones: 1000000 },
+        dozens: { docena: 12, docenas: 12 },
+        connectors: ['y'],
+        ordinals: { primero: 1, primer: 1, primera: 1 }
+    },
+    fr: {
+        units: {
+            zéro: 0, zero: 0, un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7,
+            huit: 8, neuf: 9, dix: 10, onze: 11, douze: 12, treize: 13, quatorze: 14, quinze: 15,
+            seize: 16, vingt: 20, vingts: 20, trente: 30, quarante: 40, cinquante: 50, soixante: 60
+        },
+        hundreds: { cent: 100, cents: 100 },
+        scales: { mille: 1000, million: 1000000, millions: 1000000 },
+        dozens: { douzaine: 12, douzaines: 12 },
+        connectors: ['et'],
+        ordinals: { premier: 1, première: 1 }
+    },
+    de: {
+        units: {
+            null: 0, ein: 1, eins: 1, eine: 1, einen: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6,
+            sech: 6, sieben: 7, sieb: 7, acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12,
+            zwanzig: 20, dreißig: 30, dreissig: 30, vierzig: 40, fünfzig: 50, sechzig: 60,
+            siebzig: 70, achtzig: 80, neunzig: 90
+        },
+        hundreds: { hundert: 100 },
+        scales: { tausend: 1000, million: 1000000, millionen: 1000000 },
+        dozens: { dutzend: 12 },
+        connectors: ['und'],
+        ordinals: { erst: 1, dritt: 3, siebt: 7 }
+    }
+};
+
+const MONTH_NAMES = {
+    en: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    fr: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+    de: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember']
+};
+
+// Longest day of each month (February 29: the year is often not said)
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+function isValidDay(month, day, year) {
+    if (month === 2 && day === 29 && year) return isLeapYear(year);
+    return day >= 1 && day <= DAYS_IN_MONTH[month - 1];
+}
+
+// Spelling variants transcripts produce
+const MONTH_ALIASES = {
+    sept: 9, setiembre: 9, fevrier: 2, aout: 8, decembre: 12, maerz: 3, marz: 3, jänner: 1
+};
+
+const CARD_WORDS = {
+    en: {
+        ranks: { ace: 'A', jack: 'J', knave: 'J', queen: 'Q', king: 'K' },
+        suits: { heart: 'hearts', hearts: 'hearts', diamond: 'diamonds', diamonds: 'diamonds', club: 'clubs', clubs: 'clubs', spade: 'spades', spades: 'spades' }
+    },
+    es: {
+        ranks: { as: 'A', jota: 'J', sota: 'J', reina: 'Q', dama: 'Q', rey: 'K' },
+        suits: { corazón: 'hearts', corazon: 'hearts', corazones: 'hearts', diamante: 'diamonds', diamantes: 'diamonds', trébol: 'clubs', trebol: 'clubs', tréboles: 'clubs', treboles: 'clubs', pica: 'spades', picas: 'spades' }
+    },
+    fr: {
+        ranks: { as: 'A', valet: 'J', dame: 'Q', roi: 'K' },
+        suits: { cœur: 'hearts', coeur: 'hearts', cœurs: 'hearts', coeurs: 'hearts', carreau: 'diamonds', carreaux: 'diamonds', trèfle: 'clubs', trefle: 'clubs', trèfles: 'clubs', trefles: 'clubs', pique: 'spades', piques: 'spades' }
+    },
+    de: {
+        ranks: { ass: 'A', as: 'A', bube: 'J', bauer: 'J', dame: 'Q', könig: 'K', koenig: 'K' },
+        suits: { herz: 'hearts', karo: 'diamonds', kreuz: 'clubs', pik: 'spades' }
+    }
+};
+
+// Words allowed between a card's rank and suit ("seven of clubs", "as de picas")
+const CARD_FILLERS = new Set(['of', 'de', 'du', 'des', 'von', 'the', 'la', 'le', 'el']);
+
+const SUPPORTED_LANGUAGES = Object.keys(NUMBER_WORDS);
+
+// Session language first, English as a fallback ("en-US" → ["en"])
+function parserLanguages(language) {
+    const base = String(language || 'en').split('-')[0].toLowerCase();
+    return [...new Set([base, 'en'])].filter(code => SUPPORTED_LANGUAGES.includes(code));
+}
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/(\d),(\d{3})/g, '$1$2')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// German writes numbers as one word ("siebenunddreißig"): split it into
+// known number words, longest first. Returns null if the word is not a number.
+function splitCompound(word, table) {
+    const parts = [];
+    const vocabulary = [...Object.keys(table.units), ...Object.keys(table.hundreds), ...Object.keys(table.scales), ...table.connectors]
+        .sort((a, b) => b.length - a.length);
+    let rest = word;
+
+    while (rest.length > 0) {
+        const part = vocabulary.find(candidate => rest.startsWith(candidate));
+        if (!part) return null;
+        parts.push(part);
+        rest = rest.slice(part.length);
+    }
+    return parts;
+}
+
+function numberTokens(tokens, language) {
+    const table = NUMBER_WORDS[language];
+    if (language !== 'de') return tokens.map(token => [token]);
+    return tokens.map(token => (isNumberWord(token, table) ? [token] : splitCompound(token, table) || [token]));
+}
+
+function isNumberWord(token, table) {
+    return Object.hasOwn(table.units, token) || Object.hasOwn(table.hundreds, token) || Object.hasOwn(table.scales, token) || Object.hasOwn(table.dozens, token) || /^\d+$/.test(token);
+}
+
+// Value of a run of number words, or null if the run holds no number word.
+// Additive parts must shrink ("thirty seven", "soixante dix sept"), so
+// "seven eight" stops at 7; German "sieben und dreißig" may grow after "und".
+function evaluateNumberWords(words, table) {
+    let total = 0;
+    let current = 0;
+    let last = null;
+    let seen = false;
+
+    const addPart = (value, previous) => {
+        const grows = last !== null && value >= last;
+        if (grows && !(table === NUMBER_WORDS.de && previous === 'und' && last < 10)) return false;
+        current += value;
+        last = value;
+        return true;
+    };
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+
+        // French 80: "quatre-vingt(s)"
+        if (word === 'quatre' && (words[i + 1] === 'vingt' || words[i + 1] === 'vingts') && table === NUMBER_WORDS.fr) {
+            if (!addPart(80, words[i - 1])) break;
+            i++;
+        } else if (/^\d+$/.test(word)) {
+            current += Number(word);
+        } else if (Object.hasOwn(table.units, word)) {
+            if (!addPart(table.units[word], words[i - 1])) break;
+        } else if (Object.hasOwn(table.hundreds, word)) {
+            current = (current || 1) * table.hundreds[word];
+            last = null;
+        } else if (Object.hasOwn(table.dozens, word)) {
+            current = (current || 1) * table.dozens[word];
+            last = null;
+        } else if (Object.hasOwn(table.scales, word)) {
+            total += (current || 1) * table.scales[word];
+            current = 0;
+            last = null;
+        } else {
+            continue;
+        }
+        seen = true;
+    }
+
+    return seen ? total + current : null;
+}
+
+// "oh" is zero only inside a number ("nineteen oh five"), never on its own ("oh, seven")
+function isSpokenZero(expanded, index, language, table) {
+    if (language !== 'en' || expanded[index].length !== 1 || expanded[index][0] !== 'oh') return false;
+    const before = expanded[index - 1];
+    const after = expanded[index + 1];
+    return Boolean(before && after)
+        && before.every(word => isNumberWord(word, table))
+        && after.every(word => isNumberWord(word, table));
+}
+
+// Value of a run of plain unit words that adds up without breaking ("eighty four"),
+// or null. "oh" followed by one digit word counts as 0-9.
+function unitRunValue(words, table) {
+    if (words[0] === 'oh') {
+        return words.length === 2 && table.units[words[1]] < 10 ? table.units[words[1]] : null;
+    }
+    if (!words.every(word => Object.hasOwn(table.units, word))) return null;
+    const value = evaluateNumberWords(words, table);
+    const sum = words.reduce((total, word) => total + table.units[word], 0);
+    return value === sum ? value : null;
+}
+
+// Years said in pairs: "nineteen eighty four" → 1984, "twenty twenty" → 2020,
+// "nineteen oh five" → 1905. English only; null when the words are not a pair.
+function yearPairValue(words, language) {
+    if (language !== 'en') return null;
+    const table = NUMBER_WORDS.en;
+    for (let split = 1; split < words.length; split++) {
+        const century = unitRunValue(words.slice(0, split), table);
+        const rest = unitRunValue(words.slice(split), table);
+        if (century === null || rest === null || century < 10 || century > 99) continue;
+        if (words[split] !== 'oh' && rest < 10) continue;
+        return century * 100 + rest;
+    }
+    return null;
+}
+
+// Find the first spoken or written number at or after token `from`.
+// Returns { number, start, end } (token indices, end exclusive) or null.
+function findNumber(tokens, language, from = 0) {
+    const table = NUMBER_WORDS[language];
+    const expanded = numberTokens(tokens, language);
+
+    for (let start = from; start < expanded.length; start++) {
+        const first = expanded[start];
+        // "a dozen", "a hundred": the article only counts before a number word
+        const startsNumber = first.every(word => isNumberWord(word, table) || table.connectors.includes(word))
+            && first.some(word => isNumberWord(word, table));
+        const articleBeforeNumber = language === 'en' && tokens[start] === 'a' && start + 1 < expanded.length
+            && expanded[start + 1].every(word => isNumberWord(word, table));
+        if (!startsNumber && !articleBeforeNumber) continue;
+
+        let end = start;
+        const words = [];
+        while (end < expanded.length) {
+            const part = expanded[end];
+            const numeric = part.every(word => isNumberWord(word, table) || table.connectors.includes(word))
+                || isSpokenZero(expanded, end, language, table);
+            // A connector only continues the number when another number word follows
+            const connectorThenNumber = part.length === 1 && table.connectors.includes(part[0])
+                && end + 1 < expanded.length && expanded[end + 1].every(word => isNumberWord(word, table));
+            if (!numeric && !connectorThenNumber) break;
+            if (part.length === 1 && table.connectors.includes(part[0]) && !connectorThenNumber) break;
+            // Two plain digit groups are two numbers ("7 8"), not 15
+            if (end > start && /^\d+$/.test(part[0]) && /^\d+$/.test(expanded[end - 1][0])) break;
+            words.push(...part);
+            end++;
+        }
+
+        const additive = evaluateNumberWords(words, table);
+        const year = yearPairValue(words, language);
+        const number = year !== null && (additive === null || year > additive) ? year : additive;
+        if (number !== null) return { number, start, end };
+    }
+
+    return null;
+}
+
+// Every number in the text, in order: [{ number, text, start, end }]
+function findNumbers(tokens, language) {
+    const numbers = [];
+    let found;
+    let from = 0;
+    while (from < tokens.length && (found = findNumber(tokens, language, from))) {
+        numbers.push({ number: found.number, text: tokens.slice(found.start, found.end).join(' '), start: found.start, end: found.end });
+        from = found.end;
+    }
+    return numbers;
+}
+
+// The spectator's answer: the longest number phrase, the last one on a tie.
+// Small numbers early on are usually small talk ("one moment... it is 42",
+// "I have two kids and my number is 15").
+function parseSpokenNumber(text, language = 'en') {
+    const tokens = tokenize(text);
+    for (const code of parserLanguages(language)) {
+        const numbers = findNumbers(tokens, code);
+        if (numbers.length === 0) continue;
+        const best = numbers.reduce((chosen, candidate) =>
+            (candidate.end - candidate.start >= chosen.end - chosen.start ? candidate : chosen));
+        return { number: best.number };
+    }
+    return null;
+}
+
+// Every number in the text, in order: [{ number, text }]
+function parseSpokenNumbers(text, language = 'en') {
+    const tokens = tokenize(text);
+    for (const code of parserLanguages(language)) {
+        const numbers = findNumbers(tokens, code);
+        if (numbers.length > 0) return numbers.map(({ number, text: spoken }) => ({ number, text: spoken }));
+    }
+    return [];
+}
+
+// "fourth" → 4, "twenty-first" → 21 (hyphen already split), "4th" → 4, "vierte" → 4
+function ordinalValue(tokens, index, language) {
+    const table = NUMBER_WORDS[language];
+    const token = tokens[index];
+
+    const digits = token.match(/^(\d{1,2})(st|nd|rd|th|er|re|e|º|o|a)?$/);
+    if (digits) return { value: Number(digits[1]), length: 1 };
+
+    const ordinalOf = (word) => {
+        if (Object.hasOwn(table.ordinals, word)) return table.ordinals[word];
+        if (language === 'en') {
+            if (word.endsWith('ieth')) return evaluateNumberWords([word.replace(/ieth$/, 'y')], table);
+            if (word.endsWith('th')) return evaluateNumberWords([word.replace(/th$/, '')], table);
+        }
+        if (language === 'de') {
+            for (const suffix of ['sten', 'ster', 'stes', 'ste', 'ten', 'ter', 'tes', 'te', 'en', 'er', 'es', 'e']) {
+                if (!word.endsWith(suffix)) continue;
+                const stem = word.slice(0, -suffix.length);
+                if (Object.hasOwn(table.ordinals, stem)) return table.ordinals[stem];
+                const parts = splitCompound(stem, table);
+                if (parts) return evaluateNumberWords(parts, table);
+            }
+        }
+        return null;
+    };
+
+    // "twenty first": tens word followed by an ordinal
+    const tens = table.units[token];
+    if (language === 'en' && tens >= 20 && tens % 10 === 0 && tokens[index + 1]) {
+        const unit = ordinalOf(tokens[index + 1]);
+        if (unit !== null && unit < 10) return { value: tens + unit, length: 2 };
+    }
+
+    const value = ordinalOf(token);
+    if (value !== null) return { value, length: 1 };
+
+    // Spanish, French and German say dates with cardinals: "cuatro de julio"
+    const cardinal = findNumber([token], language);
+    if (cardinal && cardinal.start === 0) return { value: cardinal.number, length: 1 };
+    return null;
+}
+
+function monthIndex(token, language) {
+    const index = MONTH_NAMES[language].indexOf(token);
+    if (index >= 0) return index + 1;
+    return MONTH_ALIASES[token] || null;
+}
+
+function parseYear(tokens, start, language) {
+    if (start >= tokens.length) return null;
+    if (/^\d{4}$/.test(tokens[start])) return Number(tokens[start]);
+    const found = findNumber(tokens.slice(start, start + 6), language);
+    return found && found.start === 0 && found.number >= 1000 ? found.number : null;
+}
+
+// Dates as "the fourth of July", "July 4th", "4 de julio", "le 14 juillet", "4. Juli".
+// Returns { month, day, year } (year null when not said) or null.
+function parseSpokenDate(text, language = 'en') {
+    const tokens = tokenize(text);
+
+    for (const code of parserLanguages(language)) {
+        for (let i = 0; i < tokens.length; i++) {
+            const month = monthIndex(tokens[i], code);
+            if (!month) continue;
+
+            // Day before the month: "fourth of July", "4 de julio"
+            let impossibleDay = false;
+            for (const gap of [1, 2]) {
+                const dayIndex = i - gap;
+                if (dayIndex < 0 || impossibleDay) break;
+                if (gap === 2 && !CARD_FILLERS.has(tokens[i - 1])) break;
+                // Try the two-word form ("twenty first") before the single word
+                const candidates = [dayIndex - 1, dayIndex].filter(index => index >= 0);
+                for (const index of candidates) {
+                    const day = ordinalValue(tokens, index, code);
+                    if (!day || index + day.length !== dayIndex + 1) continue;
+                    const year = parseYear(tokens, i + 1, code);
+                    if (isValidDay(month, day.value, year)) return { month, day: day.value, year };
+                    // "thirty first of February" is no date, not February 1
+                    impossibleDay = true;
+                    break;
+                }
+            }
+            if (impossibleDay) continue;
+
+            // Day after the month: "July 4th", "July the fourth"
+            let next = i + 1;
+            if (tokens[next] === 'the') next++;
+            if (next < tokens.length) {
+                const day = ordinalValue(tokens, next, code);
+                if (day) {
+                    const year = parseYear(tokens, next + day.length, code);
+                    if (isValidDay(month, day.value, year)) return { month, day: day.value, year };
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+function cardRank(token, language) {
+    const words = CARD_WORDS[language];
+    if (Object.hasOwn(words.ranks, token)) return words.ranks[token];
+    const number = /^\d+$/.test(token) ? Number(token) : NUMBER_WORDS[language].units[token];
+    if (number === 1) return 'A';
+    return number >= 2 && number <= 10 ? String(number) : null;
+}
+
+// Cards as "the seven of clubs", "ace spades", "siete de corazones",
+// "dame de cœur", "Herz Dame" or "Pikass". Returns { rank, suit } or null.
+function parseSpokenCard(text, language = 'en') {
+    const tokens = tokenize(text);
+
+    for (const code of parserLanguages(language)) {
+        const { suits } = CARD_WORDS[code];
+
+        for (let i = 0; i < tokens.length; i++) {
+            // German compounds: "herzdame", "pikass"
+            const prefix = Object.keys(suits).find(suit => tokens[i].startsWith(suit) && tokens[i].length > suit.length);
+            if (prefix) {
+                const rank = cardRank(tokens[i].slice(prefix.length), code);
+                if (rank) return { rank, suit: suits[prefix] };
+            }
+
+            const rank = cardRank(tokens[i], code);
+            if (!rank) continue;
+
+            // Suit after the rank, skipping "of"/"de"
+            let next = i + 1;
+            while (next < tokens.length && CARD_FILLERS.has(tokens[next])) next++;
+            if (Object.hasOwn(suits, tokens[next])) return { rank, suit: suits[tokens[next]] };
+
+            // Suit before the rank ("Herz Dame")
+            if (i > 0 && Object.hasOwn(suits, tokens[i - 1])) return { rank, suit: suits[tokens[i - 1]] };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    parseSpokenNumber,
+    parseSpokenNumbers,
+    parseSpokenCard,
+    parseSpokenDate,
+    isValidDay
+};
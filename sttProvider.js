@@ -0,0 +1,207 @@
+// Speech-to-text provider layer. Every provider returns the same shape:
+//   { result: { transcript, words: [{ word, punctuated_word, start, end, speaker }],
+//               detectedLanguage, languageConfidence }, error }
+// Pick one with STT_PROVIDER=deepgram|whisper|fixture (default deepgram).
+// language 'auto' asks the provider to detect the language; detectedLanguage is
+// an ISO-639-1 code or null when the provider cannot tell. language 'multi'
+// transcribes code-switched speech; words then carry their own `language` tag
+// where the provider reports one.
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@deepgram/sdk');
+const { toFile } = require("openai");
+const { getOpenAIClient } = require('./aiClients');
+const { isAutoLanguage, isMultiLanguage } = require('./languageDetector');
+
+// Deepgram options for the two kinds of requests the server makes
+const DEEPGRAM_OPTIONS = {
+    chunk: {
+        model: 'nova-3',
+        smart_format: true,
+        filler_words: true,
+        endpointing: 500,
+        timeout: 15000
+    },
+    diarization: {
+        model: "nova-3",
+        punctuate: true,
+        diarize: true,
+        smart_format: true,
+        timeout: 120000
+    }
+};
+
+let deepgramClient = null;
+
+// Shared Deepgram client, created on first use; null without DEEPGRAM_API_KEY
+// so the other providers (and the local summarizer) run without one
+function getDeepgramClient() {
+    if (!deepgramClient && process.env.DEEPGRAM_API_KEY) {
+        deepgramClient = createClient(process.env.DEEPGRAM_API_KEY);
+    }
+    return deepgramClient;
+}
+
+function createDeepgramProvider() {
+    return {
+        name: 'deepgram',
+        async transcribe(audioBuffer, { language, purpose = 'chunk' } = {}) {
+            const deepgram = getDeepgramClient();
+            if (!deepgram) return { result: null, error: new Error('DEEPGRAM_API_KEY is not set') };
+
+            const { result, error } = await deepgram.listen.prerecorded.transcribeFile(audioBuffer, {
+                ...DEEPGRAM_OPTIONS[purpose],
+                // nova-3 takes 'multi' as a language and tags each word
+                ...(isAutoLanguage(language) ? { detect_language: true } : { language: language })
+            });
+            if (error) return { result: null, error };
+
+            // Merge every channel/alternative the way the diarization step always did
+            let transcript = '';
+            const words = [];
+            (result?.results?.channels || []).forEach(channel => {
+                (channel.alternatives || []).forEach(alt => {
+                    if (alt.transcript) transcript += alt.transcript + ' ';
+                    (alt.words || []).forEach(word => words.push(word));
+                });
+            });
+
+            // Chunk transcripts only ever used the first alternative
+            if (purpose === 'chunk') {
+                transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
+            }
+
+            const channel = result?.results?.channels?.[0];
+            return {
+                result: {
+                    transcript: transcript.trim(),
+                    words,
+                    detectedLanguage: channel?.detected_language ? channel.detected_language.split('-')[0].toLowerCase() : null,
+                    languageConfidence: channel?.language_confidence ?? null
+                },
+                error: null
+            };
+        }
+    };
+}
+
+// Whisper reports the language by name ("spanish")
+const WHISPER_LANGUAGE_CODES = {
+    english: 'en', spanish: 'es', french: 'fr', german: 'de', italian: 'it', portuguese: 'pt',
+    dutch: 'nl', russian: 'ru', japanese: 'ja', chinese: 'zh', korean: 'ko', arabic: 'ar',
+    hindi: 'hi', turkish: 'tr', polish: 'pl', swedish: 'sv', danish: 'da', norwegian: 'no',
+    finnish: 'fi', greek: 'el', catalan: 'ca'
+};
+
+function createWhisperProvider() {
+    return {
+        name: 'whisper',
+        async transcribe(audioBuffer, { language } = {}) {
+            const openai = getOpenAIClient();
+            if (!openai) return { result: null, error: new Error('OPENAI_API_KEY is not set') };
+
+            try {
+                const response = await openai.audio.transcriptions.create({
+                    file: await toFile(audioBuffer, 'audio.wav'),
+                    model: process.env.WHISPER_MODEL || 'whisper-1',
+                    response_format: 'verbose_json',
+                    timestamp_granularities: ['word'],
+                    // Whisper wants ISO-639-1 ("en"), sessions may send "en-US"
+                    // 'auto' and 'multi' leave the language to Whisper
+                    ...(language && !isAutoLanguage(language) && !isMultiLanguage(language) ? { language: language.split('-')[0].toLowerCase() } : {})
+                });
+
+                // Whisper does not diarize: every word is attributed to speaker 0
+                const words = (response.words || []).map(word => ({
+                    word: word.word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, ''),
+                    punctuated_word: word.word,
+                    start: word.start,
+                    end: word.end,
+                    speaker: 0
+                }));
+
+                const reported = (response.language || '').toLowerCase();
+                return {
+                    result: {
+                        transcript: (response.text || '').trim(),
+                        words,
+                        detectedLanguage: WHISPER_LANGUAGE_CODES[reported] || (reported.length === 2 ? reported : null),
+                        languageConfidence: null
+                    },
+                    error: null
+                };
+            } catch (error) {
+                return { result: null, error };
+            }
+        }
+    };
+}
+
+// Offline provider: canned results from STT_FIXTURE_DIR (default fixtures/stt).
+//   chunks.json      - array of { transcript } returned in turn for chunk requests
+//   diarization.json - { transcript, words } returned for the diarization request
+// Either may carry a "language" the fixture pretends to have detected.
+function createFixtureProvider() {
+    const fixtureDir = process.env.STT_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'stt');
+    let chunkIndex = 0;
+
+    const readFixture = (name) => JSON.parse(fs.readFileSync(path.join(fixtureDir, name), 'utf8'));
+
+    return {
+        name: 'fixture',
+        async transcribe(audioBuffer, { purpose = 'chunk' } = {}) {
+            try {
+                let fixture;
+                if (purpose === 'diarization') {
+                    fixture = readFixture('diarization.json');
+                } else {
+                    const chunks = readFixture('chunks.json');
+                    fixture = chunks.length > 0 ? chunks[chunkIndex++ % chunks.length] : {};
+                }
+
+                return {
+                    result: {
+                        transcript: fixture.transcript || '',
+                        words: fixture.words || [],
+                        detectedLanguage: fixture.language || null,
+                        languageConfidence: null
+                    },
+                    error: null
+                };
+            } catch (error) {
+                return { result: null, error };
+            }
+        }
+    };
+}
+
+const PROVIDERS = {
+    deepgram: createDeepgramProvider,
+    whisper: createWhisperProvider,
+    fixture: createFixtureProvider
+};
+
+let activeProvider = null;
+
+function getSttProvider() {
+    if (!activeProvider) {
+        const name = (process.env.STT_PROVIDER || 'deepgram').toLowerCase();
+        if (!PROVIDERS[name]) {
+            console.warn(`⚠️ Unknown STT_PROVIDER "${name}", using deepgram`);
+        }
+        activeProvider = (PROVIDERS[name] || PROVIDERS.deepgram)();
+        console.log(`Speech-to-text provider: ${activeProvider.name}`);
+    }
+    return activeProvider;
+}
+
+// purpose: 'chunk' (fast live transcript) or 'diarization' (full recording)
+function transcribeAudio(audioBuffer, options = {}) {
+    return getSttProvider().transcribe(audioBuffer, options);
+}
+
+module.exports = {
+    getDeepgramClient,
+    getSttProvider,
+    transcribeAudio
+};
@@ -0,0 +1,164 @@
+// Map raw topics ("puppies", "my dog", "Doggo", "a canine") to one canonical
+// term ("dog"): strip articles and possessive pronouns, singularize, apply
+// synonyms. Names keep their capitals ("New York") and are left as they are.
+// Extra synonyms can be loaded from TOPIC_SYNONYMS_FILE, a JSON object of
+// { "canonical": ["variant", ...] } merged over the built-in dictionary.
+const fs = require('fs');
+const { chunkNounPhrases } = require('./topicExtractor');
+
+const DEFAULT_SYNONYMS = {
+    dog: ['puppy', 'pup', 'doggo', 'doggy', 'doggie', 'canine', 'hound', 'pooch'],
+    cat: ['kitten', 'kitty', 'feline', 'pussycat'],
+    horse: ['pony', 'stallion', 'mare', 'foal'],
+    car: ['automobile', 'auto', 'motorcar', 'vehicle'],
+    bicycle: ['bike', 'cycle'],
+    house: ['home', 'residence'],
+    child: ['kid', 'toddler'],
+    mother: ['mom', 'mum', 'mommy', 'mummy', 'mama'],
+    father: ['dad', 'daddy', 'papa'],
+    grandmother: ['grandma', 'granny', 'nan', 'nana'],
+    grandfather: ['grandpa', 'grandad', 'granddad'],
+    television: ['tv', 'telly'],
+    phone: ['cellphone', 'smartphone', 'mobile phone', 'cell phone'],
+    holiday: ['vacation', 'trip'],
+    sea: ['ocean'],
+    film: ['movie'],
+    football: ['soccer']
+};
+
+// Leading words that never belong in a canonical topic
+const LEADING_WORDS = new Set([
+    'a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this', 'that',
+    'these', 'those', 'some', 'any'
+]);
+
+const IRREGULAR_PLURALS = {
+    children: 'child',
+    people: 'person',
+    men: 'man',
+    women: 'woman',
+    mice: 'mouse',
+    geese: 'goose',
+    feet: 'foot',
+    teeth: 'tooth',
+    oxen: 'ox',
+    knives: 'knife',
+    wives: 'wife',
+    lives: 'life',
+    leaves: 'leaf',
+    wolves: 'wolf',
+    loaves: 'loaf',
+    potatoes: 'potato',
+    tomatoes: 'tomato',
+    heroes: 'hero',
+    buses: 'bus',
+    gases: 'gas',
+    cacti: 'cactus',
+    fungi: 'fungus'
+};
+
+// Words ending in "s" that are not plurals
+const SINGULAR_S_WORDS = new Set([
+    'news', 'series', 'species', 'mathematics', 'physics', 'chess', 'glass', 'bus', 'gas',
+    'lens', 'iris', 'tennis', 'paris', 'texas', 'christmas', 'diabetes', 'measles', 'yes'
+]);
+
+function loadSynonyms() {
+    const synonyms = { ...DEFAULT_SYNONYMS };
+    const file = process.env.TOPIC_SYNONYMS_FILE;
+    if (file) {
+        try {
+            const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+            Object.entries(extra).forEach(([canonical, variants]) => {
+                synonyms[canonical.toLowerCase()] = (Array.isArray(variants) ? variants : [variants]).map(String);
+            });
+            console.log(`Loaded ${Object.keys(extra).length} topic synonym group(s) from ${file}`);
+        } catch (error) {
+            console.error(`Could not load topic synonyms from ${file}:`, error.message);
+        }
+    }
+
+    // variant → canonical
+    const lookup = new Map();
+    Object.entries(synonyms).forEach(([canonical, variants]) => {
+        variants.forEach(variant => lookup.set(variant.toLowerCase(), canonical));
+    });
+    return lookup;
+}
+
+const SYNONYM_LOOKUP = loadSynonyms();
+// Common nouns the dictionary knows, canonical or variant
+const KNOWN_TERMS = new Set([...SYNONYM_LOOKUP.keys(), ...SYNONYM_LOOKUP.values()]);
+
+function singularize(word) {
+    if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+    if (word.length <= 3 || SINGULAR_S_WORDS.has(word) || !word.endsWith('s')) return word;
+    if (/(ss|us|is)$/.test(word)) return word;
+    if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ches|shes|xes|zes|sses)$/.test(word)) return word.slice(0, -2);
+    return word.slice(0, -1);
+}
+
+// Spelling of every word that chunkNounPhrases takes for part of a name,
+// by its lowercase form
+function properNounSpellings(topic) {
+    const spellings = new Map();
+    // A topic is not a sentence: its first capital counts ("Paris", "Sarah's dog"),
+    // except on a lone word the synonym dictionary knows ("Doggo")
+    chunkNounPhrases(topic, { midSentence: true })
+        .filter(phrase => phrase.proper && !(phrase.words.length === 1 && KNOWN_TERMS.has(phrase.words[0])))
+        .forEach(phrase => {
+            const original = phrase.phrase.split(' ');
+            phrase.words.forEach((word, index) => spellings.set(word.replace(/'s?$/, ''), original[index].replace(/['’]s?$/, '')));
+        });
+    return spellings;
+}
+
+// Returns the canonical form of a topic ('' for an empty topic)
+function canonicalizeTopic(topic) {
+    if (!topic || typeof topic !== 'string') return '';
+
+    const names = properNounSpellings(topic.replace(/’/g, "'"));
+    let words = topic.toLowerCase()
+        .replace(/’/g, "'")
+        .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    while (words.length > 1 && LEADING_WORDS.has(words[0])) words.shift();
+
+    // The possessor stays ("grandmother's garden" is not any garden); only a
+    // trailing possessive with nothing to own is dropped: "the dog's" → "dog"
+    words = words.map((word, index) => {
+        const possessor = word.replace(/'s?$/, '');
+        if (names.has(possessor)) return index < words.length - 1 && possessor !== word ? `${names.get(possessor)}'s` : names.get(possessor);
+        if (index === words.length - 1 || possessor === word) return possessor;
+        // "grandma's garden" and "grandmother's garden" are the same topic
+        return `${SYNONYM_LOOKUP.get(possessor) || possessor}'s`;
+    }).filter(Boolean);
+
+    if (words.length === 0) return '';
+
+    // Names are neither plural nor synonyms
+    const head = words[words.length - 1];
+    if (names.has(head.toLowerCase())) return words.join(' ');
+
+    // Only the head noun is plural in English noun phrases
+    words[words.length - 1] = singularize(head);
+
+    const phrase = words.join(' ');
+    if (SYNONYM_LOOKUP.has(phrase)) return SYNONYM_LOOKUP.get(phrase);
+
+    // "little puppy" → "little dog"
+    const singular = words[words.length - 1];
+    if (SYNONYM_LOOKUP.has(singular)) {
+        words[words.length - 1] = SYNONYM_LOOKUP.get(singular);
+    }
+
+    return words.join(' ');
+}
+
+module.exports = {
+    singularize,
+    canonicalizeTopic
+};
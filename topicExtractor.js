@@ -1,212 +1,683 @@
-// Enhanced topic extraction module
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// Initialize Gemini AI (if API key is available)
-let genAI = null;
-try {
-    if (process.env.GEMINI_API_KEY) {
-        genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    }
-} catch (error) {
-    console.log("Gemini AI not available, using fallback methods");
-}
-
-// Common stop words to filter out
-const STOP_WORDS = new Set([
-    'i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 'you', 'your', 'yours',
-    'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 'she', 'her', 'hers',
-    'herself', 'it', 'its', 'itself', 'they', 'them', 'their', 'theirs', 'themselves',
-    'what', 'which', 'who', 'whom', 'this', 'that', 'these', 'those', 'am', 'is', 'are',
-    'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'having', 'do', 'does',
-    'did', 'doing', 'a', 'an', 'the', 'and', 'but', 'if', 'or', 'because', 'as', 'until',
-    'while', 'of', 'at', 'by', 'for', 'with', 'about', 'against', 'between', 'into',
-    'through', 'during', 'before', 'after', 'above', 'below', 'up', 'down', 'in', 'out',
-    'on', 'off', 'over', 'under', 'again', 'further', 'then', 'once', 'here', 'there',
-    'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most',
-    'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than',
-    'too', 'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now', 'yes'
-]);
-
-// Enhanced topic extraction using multiple methods
-async function extractMainTopic(text) {
-    console.log(`\n========== ENHANCED TOPIC EXTRACTION ==========`);
-    console.log(`Input text: "${text.substring(0, 200)}..."`);
-
-    // Method 1: Try Gemini AI first (most accurate)
-    const geminiTopic = await extractTopicWithGemini(text);
-    if (geminiTopic) {
-        console.log(`✅ Gemini AI topic: "${geminiTopic}"`);
-        return geminiTopic;
-    }
-
-    // Method 2: Frequency analysis with context awareness
-    const frequencyTopic = extractTopicByFrequency(text);
-    if (frequencyTopic) {
-        console.log(`✅ Frequency analysis topic: "${frequencyTopic}"`);
-        return frequencyTopic;
-    }
-
-    // Method 3: Pattern-based extraction
-    const patternTopic = extractTopicByPatterns(text);
-    if (patternTopic) {
-        console.log(`✅ Pattern-based topic: "${patternTopic}"`);
-        return patternTopic;
-    }
-
-    // Fallback: Use first few meaningful words
-    const fallbackTopic = extractFallbackTopic(text);
-    console.log(`⚠️ Fallback topic: "${fallbackTopic}"`);
-    return fallbackTopic;
-}
-
-// Method 1: Use Gemini AI for intelligent topic extraction
-async function extractTopicWithGemini(text) {
-    if (!genAI) return null;
-
-    try {
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-        const prompt = `
-Analyze this speech transcript and identify the MAIN TOPIC the person is talking about.
-
-Rules:
-1. Look for what the speaker is primarily focused on
-2. Pay attention to phrases like "I am talking about", "this is about", "the main thing is"
-3. Consider frequency of mentions and descriptive content
-4. Return only 1-3 words maximum
-5. If multiple topics exist, choose the one with most emphasis/description
-
-Transcript: "${text}"
-
-Main topic (1-3 words only):`;
-
-        const result = await model.generateContent(prompt);
-        const response = result.response;
-        const topic = response.text().trim().toLowerCase();
-
-        // Validate the response (should be 1-3 words)
-        const words = topic.split(/\s+/).filter(word => word.length > 0);
-        if (words.length <= 3 && words.length > 0) {
-            return words.join(' ');
-        }
-
-        return null;
-    } catch (error) {
-        console.error("Gemini AI error:", error);
-        return null;
-    }
-}
-
-// Method 2: Enhanced frequency analysis with context
-function extractTopicByFrequency(text) {
-    const words = text.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
-
-    // Count word frequencies
-    const wordCount = {};
-    words.forEach(word => {
-        wordCount[word] = (wordCount[word] || 0) + 1;
-    });
-
-    // Look for explicit topic indicators with different weights
-    const topicIndicators = [
-        { pattern: /(?:i am (?:objectively )?talking about)\s+(?:the\s+)?(\w+)/gi, weight: 10 },
-        { pattern: /(?:this is about|it is about)\s+(?:the\s+)?(\w+)/gi, weight: 8 },
-        { pattern: /(?:i (?:like|love|prefer))\s+(?:the\s+)?(\w+)/gi, weight: 6 },
-        { pattern: /(?:talking about|discussing|mentioning)\s+(?:the\s+)?(\w+)/gi, weight: 5 },
-        { pattern: /(?:so i like)\s+(?:the\s+)?(\w+)/gi, weight: 7 }
-    ];
-
-    for (const indicator of topicIndicators) {
-        const matches = [...text.matchAll(indicator.pattern)];
-        for (const match of matches) {
-            const word = match[1].toLowerCase();
-            if (word.length > 2 && !STOP_WORDS.has(word)) {
-                // Boost score based on indicator weight
-                wordCount[word] = (wordCount[word] || 0) + indicator.weight;
-            }
-        }
-    }
-
-    // Find words that appear multiple times
-    const frequentWords = Object.entries(wordCount)
-        .filter(([word, count]) => count >= 2)
-        .sort((a, b) => b[1] - a[1]);
-
-    if (frequentWords.length > 0) {
-        return frequentWords[0][0];
-    }
-
-    return null;
-}
-
-// Method 3: Pattern-based extraction for common speech patterns
-function extractTopicByPatterns(text) {
-    const patterns = [
-        // Direct topic statements (highest priority)
-        /(?:i am (?:objectively )?talking about (?:the )?)([\w]+)/gi,
-        /(?:this is about (?:the )?)([\w]+)/gi,
-        /(?:the main (?:thing|topic|subject) is (?:the )?)([\w]+)/gi,
-        /(?:let me tell you about (?:the )?)([\w]+)/gi,
-
-        // Preference statements
-        /(?:i (?:like|love|prefer) (?:the )?)([\w]+)/gi,
-        /(?:my favorite (?:is )?(?:the )?)([\w]+)/gi,
-
-        // Descriptive patterns
-        /(?:the )([\w]+)(?: is| are| was| were) (?:very|really|so|quite)/gi,
-        /(?:this )([\w]+)(?: is| was)/gi,
-
-        // Emphasis patterns
-        /(?:yes\.? (?:this|that|it) is (?:a )?(?:very )?(?:the )?)([\w]+)/gi,
-        /(?:so i like (?:the )?)([\w]+)/gi
-    ];
-
-    // Track pattern matches with scores
-    const patternMatches = {};
-
-    for (let i = 0; i < patterns.length; i++) {
-        const pattern = patterns[i];
-        const matches = [...text.matchAll(pattern)];
-
-        for (const match of matches) {
-            const topic = match[1].trim().toLowerCase();
-
-            if (topic.length > 2 && !STOP_WORDS.has(topic)) {
-                // Higher score for earlier patterns (more explicit statements)
-                const score = patterns.length - i;
-                patternMatches[topic] = (patternMatches[topic] || 0) + score;
-            }
-        }
-    }
-
-    // Return the topic with highest pattern score
-    if (Object.keys(patternMatches).length > 0) {
-        const bestTopic = Object.entries(patternMatches)
-            .sort((a, b) => b[1] - a[1])[0][0];
-        return bestTopic;
-    }
-
-    return null;
-}
-
-// Fallback method: Extract meaningful words
-function extractFallbackTopic(text) {
-    const words = text.toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(word => word.length > 3 && !STOP_WORDS.has(word));
-
-    // Return first meaningful word or combination
-    if (words.length > 0) {
-        return words[0];
-    }
-
-    return "unknown topic";
-}
-
-module.exports = {
-    extractMainTopic
+// Topic extraction: a configurable set of strategies whose scored candidates
+// are merged into one ranked list
+const fs = require('fs');
+const { getOpenAIClient, getGeminiClient, withTimeout } = require('./aiClients');
+
+// Strategy order, overridable with TOPIC_STRATEGIES=openai,frequency,fallback
+const DEFAULT_STRATEGY_ORDER = ['openai', 'gemini', 'deepgram', 'frequency', 'pattern', 'fallback'];
+
+// Milliseconds each strategy may take before the chain moves on.
+// Override with TOPIC_STRATEGY_TIMEOUTS=openai:5000,gemini:3000
+const DEFAULT_STRATEGY_TIMEOUTS = {
+    openai: 8000,
+    gemini: 8000,
+    deepgram: 1000,
+    frequency: 1000,
+    pattern: 1000,
+    fallback: 1000
+};
+
+// Common stop words to filter out
+const STOP_WORDS = new Set([
+    'i', 'me', 'my', 'myself', 'we', 'our', 'ours', 'ourselves', 'you', 'your', 'yours',
+    'yourself', 'yourselves', 'he', 'him', 'his', 'himself', 'she', 'her', 'hers',
+    'herself', 'it', 'its', 'itself', 'they', 'them', 'their', 'theirs', 'themselves',
+    'what', 'which', 'who', 'whom', 'this', 'that', 'these', 'those', 'am', 'is', 'are',
+    'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'having', 'do', 'does',
+    'did', 'doing', 'a', 'an', 'the', 'and', 'but', 'if', 'or', 'because', 'as', 'until',
+    'while', 'of', 'at', 'by', 'for', 'with', 'about', 'against', 'between', 'into',
+    'through', 'during', 'before', 'after', 'above', 'below', 'up', 'down', 'in', 'out',
+    'on', 'off', 'over', 'under', 'again', 'further', 'then', 'once', 'here', 'there',
+    'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most',
+    'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than',
+    'too', 'very', 's', 't', 'can', 'will', 'just', 'don', 'should', 'now', 'yes'
+]);
+
+// Strategies that call a paid API; the rest run locally
+const LLM_STRATEGIES = new Set(['openai', 'gemini']);
+
+// Score given to an LLM answer that comes without its own confidence
+const LLM_DEFAULT_SCORE = 0.8;
+// The fallback only ever guesses
+const FALLBACK_SCORE = 0.1;
+
+// Each strategy gets (text, context) and resolves to [{ topic, score }] with
+// scores in 0..1. context.deepgramTopics carries Deepgram's [{ topic, confidence }].
+const STRATEGIES = {
+    openai: (text) => rankTopicsWithOpenAI(text),
+    gemini: async (text) => {
+        const topic = await extractTopicWithGemini(text);
+        return topic ? [{ topic, score: LLM_DEFAULT_SCORE }] : [];
+    },
+    deepgram: (text, context) => context.deepgramTopics.map(({ topic, confidence }) => ({ topic, score: confidence })),
+    frequency: (text) => rankTopicsByFrequency(text),
+    pattern: (text) => rankTopicsByPatterns(text),
+    fallback: (text) => [{ topic: extractFallbackTopic(text), score: FALLBACK_SCORE }]
+};
+
+function parseStrategyOrder(value) {
+    if (!value) return DEFAULT_STRATEGY_ORDER;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => name.trim().toLowerCase())
+        .filter(name => STRATEGIES[name]);
+    return list.length > 0 ? list : DEFAULT_STRATEGY_ORDER;
+}
+
+function parseStrategyTimeouts(value) {
+    const timeouts = { ...DEFAULT_STRATEGY_TIMEOUTS };
+    if (!value) return timeouts;
+    String(value).split(',').forEach(entry => {
+        const [name, ms] = entry.split(':').map(part => part.trim());
+        if (STRATEGIES[name.toLowerCase()] && parseInt(ms, 10) > 0) {
+            timeouts[name.toLowerCase()] = parseInt(ms, 10);
+        }
+    });
+    return timeouts;
+}
+
+const STRATEGY_ORDER = parseStrategyOrder(process.env.TOPIC_STRATEGIES);
+const STRATEGY_TIMEOUTS = parseStrategyTimeouts(process.env.TOPIC_STRATEGY_TIMEOUTS);
+
+function candidateKey(topic) {
+    return topic.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Merge candidates from every strategy. Candidates rank in chain order (by
+// their earliest source), so a heuristic never outranks the LLM in front of
+// it. Within a strategy, a topic others also proposed combines their scores
+// (1 - product of misses) and ranks higher than a lone guess.
+function mergeCandidates(results, order) {
+    const merged = new Map();
+
+    results.forEach(({ strategy, candidates }) => {
+        candidates.forEach(({ topic, score }) => {
+            const key = candidateKey(topic);
+            if (!key) return;
+            if (!merged.has(key)) {
+                merged.set(key, { topic: topic.trim(), miss: 1, sources: [] });
+            }
+            const entry = merged.get(key);
+            entry.miss *= 1 - Math.min(1, Math.max(0, score));
+            if (!entry.sources.includes(strategy)) entry.sources.push(strategy);
+        });
+    });
+
+    const rank = (entry) => Math.min(...entry.sources.map(source => order.indexOf(source)));
+
+    return [...merged.values()]
+        .map(entry => ({ topic: entry.topic, score: Number((1 - entry.miss).toFixed(3)), sources: entry.sources, rank: rank(entry) }))
+        .sort((a, b) => a.rank - b.rank || b.score - a.score)
+        .map(({ rank, ...candidate }) => candidate);
+}
+
+// Run the configured strategies, each under its own timeout. The local ones
+// collect candidates first; the LLMs are then asked in chain order until one
+// answers, so a lower-priority LLM is never called (or billed) once a
+// higher-priority one has a topic. Options: { strategies, timeouts, deepgramTopics }.
+// Returns { topic, strategy, candidates, attempts }: candidates are ranked
+// [{ topic, score, sources }], strategy is the first source of the winner and
+// attempts lists { strategy, status: 'ok'|'empty'|'timeout'|'error'|'skipped', ms }.
+async function extractTopic(text, options = {}) {
+    const order = options.strategies ? parseStrategyOrder(options.strategies) : STRATEGY_ORDER;
+    const timeouts = { ...STRATEGY_TIMEOUTS, ...(options.timeouts || {}) };
+    const context = { deepgramTopics: options.deepgramTopics || [] };
+    const attempts = [];
+
+    console.log(`\n========== TOPIC EXTRACTION ==========`);
+    console.log(`Strategies: ${order.join(', ')}`);
+    console.log(`Input text: "${(text || '').substring(0, 200)}..."`);
+
+    if (!text || text.trim().length === 0) {
+        return { topic: '', strategy: null, candidates: [], attempts };
+    }
+
+    const runStrategy = async (strategy) => {
+        const startedAt = Date.now();
+        try {
+            const result = await withTimeout(Promise.resolve(STRATEGIES[strategy](text, context)), timeouts[strategy]);
+            const candidates = (result || []).filter(candidate => candidate && typeof candidate.topic === 'string' && candidate.topic.trim());
+            attempts.push({ strategy, status: candidates.length > 0 ? 'ok' : 'empty', ms: Date.now() - startedAt });
+            return { strategy, candidates };
+        } catch (error) {
+            const status = /timed out/.test(error.message) ? 'timeout' : 'error';
+            attempts.push({ strategy, status, ms: Date.now() - startedAt });
+            console.warn(`⚠️ Topic strategy ${strategy} failed (${status}): ${error.message}`);
+            return { strategy, candidates: [] };
+        }
+    };
+
+    const results = await Promise.all(order.filter(strategy => !LLM_STRATEGIES.has(strategy) && strategy !== 'fallback').map(runStrategy));
+
+    let answered = null;
+    for (const strategy of order.filter(name => LLM_STRATEGIES.has(name))) {
+        if (answered) {
+            attempts.push({ strategy, status: 'skipped', ms: 0 });
+            continue;
+        }
+        const result = await runStrategy(strategy);
+        results.push(result);
+        if (result.candidates.length > 0) answered = strategy;
+    }
+
+    let candidates = mergeCandidates(results, order);
+
+    // The fallback only runs when nothing else produced a candidate
+    if (candidates.length === 0) {
+        candidates = mergeCandidates([await runStrategy('fallback')], [...order, 'fallback']);
+    }
+
+    candidates.forEach(candidate => console.log(`   ${candidate.score.toFixed(3)}  "${candidate.topic}" (${candidate.sources.join(', ')})`));
+
+    const [best] = candidates;
+    console.log(`✅ Topic from ${best.sources[0]}: "${best.topic}"`);
+    return { topic: best.topic, strategy: best.sources[0], candidates, attempts };
+}
+
+// Original entry point (Gemini → frequency → patterns → fallback), kept for server_old.js
+async function extractMainTopic(text) {
+    const { topic } = await extractTopic(text, { strategies: ['gemini', 'frequency', 'pattern', 'fallback'] });
+    return topic;
+}
+
+// Use OpenAI for intelligent topic extraction: up to 3 candidates with confidences
+async function rankTopicsWithOpenAI(text) {
+    const openai = getOpenAIClient();
+    if (!openai) return [];
+
+    const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+            {
+                role: "system",
+                content: `You are a topic extraction expert. Extract the SINGLE most specific and central topic from the given text.
+
+RULES:
+1. Return ONLY the main topic as a concise phrase (1-4 words maximum)
+2. Read the ENTIRE text to understand what the speaker is primarily talking about
+4. If multiple subjects are mentioned, identify the PRIMARY subject that the speaker focuses on most
+6. Be specific and precise
+7. No explanations, no additional text - just the topic
+8. Never return "unknown" or "cannot determine" - always extract something meaningful
+9. Answer as JSON: {"topics": [{"topic": "...", "confidence": 0.0-1.0}]} with the main topic first and at most 3 entries`
+            },
+            {
+                role: "user",
+                content: `Extract the exact topic never return "unknown" or "cannot determine" always extract something meaningful from this text: "${text}"`
+            }
+        ],
+        max_tokens: 80,
+        temperature: 0.1,
+        response_format: { type: "json_object" }
+    });
+
+    const content = response.choices[0].message.content.trim();
+    try {
+        const topics = JSON.parse(content).topics || [];
+        return topics
+            .filter(entry => entry && typeof entry.topic === 'string')
+            .slice(0, 3)
+            .map(entry => ({
+                topic: entry.topic,
+                score: typeof entry.confidence === 'number' ? entry.confidence : LLM_DEFAULT_SCORE
+            }));
+    } catch (error) {
+        // Not JSON after all: treat the whole answer as the topic
+        return [{ topic: content, score: LLM_DEFAULT_SCORE }];
+    }
+}
+
+// Method 1: Use Gemini AI for intelligent topic extraction
+async function extractTopicWithGemini(text) {
+    const genAI = getGeminiClient();
+    if (!genAI) return null;
+
+    try {
+        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+
+        const prompt = `
+Analyze this speech transcript and identify the MAIN TOPIC the person is talking about.
+
+Rules:
+1. Look for what the speaker is primarily focused on
+2. Pay attention to phrases like "I am talking about", "this is about", "the main thing is"
+3. Consider frequency of mentions and descriptive content
+4. Return only 1-3 words maximum
+5. If multiple topics exist, choose the one with most emphasis/description
+
+Transcript: "${text}"
+
+Main topic (1-3 words only):`;
+
+        const result = await model.generateContent(prompt);
+        const response = result.response;
+        const topic = response.text().trim().toLowerCase();
+
+        // Validate the response (should be 1-3 words)
+        const words = topic.split(/\s+/).filter(word => word.length > 0);
+        if (words.length <= 3 && words.length > 0) {
+            return words.join(' ');
+        }
+
+        return null;
+    } catch (error) {
+        console.error("Gemini AI error:", error);
+        return null;
+    }
+}
+
+// Words that end a noun phrase although they are not stop words: fillers,
+// common verbs and adverbs that would otherwise glue onto the nouns
+const NON_NOUN_WORDS = new Set([
+    'okay', 'ok', 'yeah', 'um', 'uh', 'hmm', 'oh', 'well', 'like', 'really', 'actually',
+    'just', 'also', 'even', 'still', 'maybe', 'always', 'never', 'often', 'sometimes',
+    'thing', 'things', 'something', 'anything', 'everything', 'nothing', 'lot', 'lots',
+    'kind', 'sort', 'way', 'stuff', 'think', 'thinking', 'thought', 'know', 'knew', 'want',
+    'wanted', 'love', 'loved', 'loves', 'liked', 'likes', 'prefer', 'go', 'going',
+    'went', 'gone', 'get', 'got', 'getting', 'make', 'made', 'making', 'say', 'said',
+    'saying', 'tell', 'told', 'talk', 'talking', 'talked', 'see', 'saw', 'seen', 'look',
+    'looking', 'feel', 'feeling', 'felt', 'remember', 'imagine', 'picture', 'mean',
+    'would', 'could', 'might', 'must', 'shall', 'let', 'lets', 'come', 'came', 'take',
+    'took', 'give', 'gave', 'use', 'used', 'need', 'needed', 'try', 'tried', 'find',
+    'found', 'visit', 'visited', 'play', 'played', 'eat', 'ate', 'watch', 'watched',
+    'one', 'much', 'many', 'every', 'another', 'please', 'right', 'sure', 'yes'
+]);
+
+// Longest phrase kept; longer runs keep their last words (the head noun is last)
+const MAX_PHRASE_WORDS = 4;
+
+// Nouns that look like "-ly" adverbs
+const LY_NOUNS = new Set([
+    'family', 'italy', 'july', 'fly', 'butterfly', 'dragonfly', 'jelly', 'belly', 'lily', 'holly',
+    'bully', 'ally', 'rally', 'supply', 'assembly', 'monopoly', 'reply', 'anomaly', 'melancholy'
+]);
+
+function isPhraseBreak(lower, proper) {
+    if (STOP_WORDS.has(lower) || NON_NOUN_WORDS.has(lower)) return true;
+    // Contractions: "i'm", "we've", "it's", "don't"
+    if (/'(m|re|ve|ll|d|t)$/.test(lower) || /^(it|that|what|there|here|he|she|who|where)'s$/.test(lower)) return true;
+    return lower.endsWith('ly') && !proper && !LY_NOUNS.has(lower);
+}
+
+// Lightweight noun-phrase chunking: runs of content words between stop words,
+// verbs and punctuation. Determiners and possessive pronouns are dropped
+// ("my grandmother's garden" → "grandmother's garden") and capitalized runs
+// in mid-sentence are kept apart as names ("visit New York" → "New York").
+// Returns [{ phrase, key, words, head, proper }].
+function chunkNounPhrases(text, { midSentence = false } = {}) {
+    const phrases = [];
+
+    text.split(/[.!?;:,()"\n]+/).forEach((clause, clauseIndex) => {
+        const tokens = clause.match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || [];
+        let run = [];
+
+        const flush = () => {
+            if (run.length === 0) return;
+            const kept = run.slice(-MAX_PHRASE_WORDS);
+            const proper = kept.every(token => token.proper);
+            const words = kept.map(token => token.lower);
+            // A trailing possessive has nothing to own: "the dog's" → "dog"
+            words[words.length - 1] = words[words.length - 1].replace(/['’]s$/, '');
+            const original = kept.map(token => token.text);
+            original[original.length - 1] = original[original.length - 1].replace(/['’]s$/, '');
+            phrases.push({
+                phrase: proper ? original.join(' ') : words.join(' '),
+                key: words.join(' '),
+                words,
+                head: words[words.length - 1],
+                proper
+            });
+            run = [];
+        };
+
+        const capitalized = tokens.map(token => /^\p{Lu}/u.test(token));
+
+        tokens.forEach((text, index) => {
+            const lower = text.toLowerCase().replace(/’/g, "'");
+            const sentenceStart = index === 0 && !(midSentence && clauseIndex === 0);
+            // A capital at the start of a sentence only counts when a name continues it ("New York")
+            const proper = capitalized[index] && (!sentenceStart || capitalized[index + 1] === true);
+
+            // "of" may sit inside a name: "Statue of Liberty"
+            if (lower === 'of' && run.length > 0 && run[run.length - 1].proper && capitalized[index + 1]) {
+                run.push({ text, lower, proper: true });
+                return;
+            }
+
+            if (isPhraseBreak(lower, proper) || (lower.length <= 2 && !proper && !/^\d+$/.test(lower))) {
+                flush();
+                return;
+            }
+            // Names and common nouns form separate phrases
+            if (run.length > 0 && run[run.length - 1].proper !== proper) flush();
+            // A possessive closes a name: "Sarah's dog" → "Sarah's" + "dog"
+            run.push({ text, lower, proper });
+            if (proper && /['’]s$/.test(lower)) flush();
+        });
+        flush();
+    });
+
+    return phrases;
+}
+
+// First noun phrase of a short span, e.g. the words after "talking about"
+function firstPhrase(text) {
+    const [phrase] = chunkNounPhrases(text, { midSentence: true });
+    return phrase || null;
+}
+
+// Scores of 2 or more map to 0.4..0.8 (indicator phrases add their weight)
+function frequencyScore(count) {
+    return Number((0.8 * (1 - 1 / count)).toFixed(3));
+}
+
+// Captures up to four words; firstPhrase() then picks the noun phrase in them
+const PHRASE_CAPTURE = /([\w'’]+(?:\s+[\w'’]+){0,3})/.source;
+
+function phrasePattern(prefix) {
+    return new RegExp(prefix.source + PHRASE_CAPTURE, 'gi');
+}
+
+// Method 2: Enhanced frequency analysis with context, over noun phrases
+function rankTopicsByFrequency(text) {
+    const phraseScores = new Map();
+    const addScore = (phrase, score) => {
+        const entry = phraseScores.get(phrase.key) || { topic: phrase.phrase, words: phrase.words, head: phrase.head, score: 0 };
+        // Prefer the capitalized spelling of names
+        if (phrase.proper) entry.topic = phrase.phrase;
+        entry.score += score;
+        phraseScores.set(phrase.key, entry);
+    };
+
+    // Each mention counts once, with a small bonus for every extra word
+    chunkNounPhrases(text).forEach(phrase => addScore(phrase, 1 + 0.25 * (phrase.words.length - 1)));
+
+    // A bare head noun usually refers back to the longer phrase
+    // ("my grandmother's garden ... the garden"): fold it into the most mentioned one
+    [...phraseScores.entries()]
+        .filter(([, entry]) => entry.words.length === 1)
+        .forEach(([key, entry]) => {
+            const owner = [...phraseScores.values()]
+                .filter(other => other.words.length > 1 && other.head === entry.head)
+                .sort((a, b) => b.score - a.score)[0];
+            if (owner) {
+                owner.score += entry.score;
+                phraseScores.delete(key);
+            }
+        });
+
+    // Look for explicit topic indicators with different weights
+    const topicIndicators = [
+        { pattern: phrasePattern(/(?:i am (?:objectively )?talking about)\s+/), weight: 10 },
+        { pattern: phrasePattern(/(?:this is about|it is about)\s+/), weight: 8 },
+        { pattern: phrasePattern(/(?:i (?:like|love|prefer))\s+/), weight: 6 },
+        { pattern: phrasePattern(/(?:talking about|discussing|mentioning)\s+/), weight: 5 },
+        { pattern: phrasePattern(/(?:so i like)\s+/), weight: 7 }
+    ];
+
+    for (const indicator of topicIndicators) {
+        const matches = [...text.matchAll(indicator.pattern)];
+        for (const match of matches) {
+            const phrase = firstPhrase(match[1]);
+            if (phrase) {
+                // Boost score based on indicator weight
+                addScore(phrase, indicator.weight);
+            }
+        }
+    }
+
+    // Keep phrases mentioned more than once (or named by an indicator)
+    return [...phraseScores.values()]
+        .filter(entry => entry.score >= 2)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5)
+        .map(entry => ({ topic: entry.topic, score: frequencyScore(entry.score) }));
+}
+
+// Method 3: Pattern-based extraction for common speech patterns
+function rankTopicsByPatterns(text) {
+    const patterns = [
+        // Direct topic statements (highest priority)
+        phrasePattern(/(?:i am (?:objectively )?talking about )/),
+        phrasePattern(/(?:this is about )/),
+        phrasePattern(/(?:the main (?:thing|topic|subject) is )/),
+        phrasePattern(/(?:let me tell you about )/),
+
+        // Preference statements
+        phrasePattern(/(?:i (?:like|love|prefer) )/),
+        phrasePattern(/(?:my favou?rite (?:\w+ )?is )/),
+
+        // Descriptive patterns
+        /(?:the )([\w'’]+(?:\s+[\w'’]+)?)(?: is| are| was| were) (?:very|really|so|quite)/gi,
+        /(?:this )([\w'’]+)(?: is| was)/gi,
+
+        // Emphasis patterns
+        phrasePattern(/(?:yes\.? (?:this|that|it) is )/),
+        phrasePattern(/(?:so i like )/)
+    ];
+
+    // Track pattern matches with scores
+    const patternMatches = {};
+
+    for (let i = 0; i < patterns.length; i++) {
+        const pattern = patterns[i];
+        const matches = [...text.matchAll(pattern)];
+
+        for (const match of matches) {
+            const phrase = firstPhrase(match[1]);
+
+            if (phrase) {
+                // Higher score for earlier patterns (more explicit statements)
+                const score = patterns.length - i;
+                const entry = patternMatches[phrase.key] || { topic: phrase.phrase, score: 0 };
+                if (phrase.proper) entry.topic = phrase.phrase;
+                entry.score += score;
+                patternMatches[phrase.key] = entry;
+            }
+        }
+    }
+
+    // Rank by pattern score; one explicit "I am talking about X" scores about 0.5
+    return Object.values(patternMatches)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5)
+        .map(({ topic, score }) => ({ topic, score: Number((0.8 * score / (score + 5)).toFixed(3)) }));
+}
+
+// Fallback method: first noun phrase, preferring one with a real noun-sized word
+function extractFallbackTopic(text) {
+    const phrases = chunkNounPhrases(text);
+    const phrase = phrases.find(candidate => candidate.words.some(word => word.length > 3)) || phrases[0];
+
+    if (phrase) {
+        return phrase.phrase;
+    }
+
+    return "unknown topic";
+}
+
+// ---------- Category classification ----------
+
+// Taxonomy, overridable with TOPIC_CATEGORIES=animal,place,food,sport
+const DEFAULT_CATEGORIES = ['animal', 'place', 'food', 'person', 'object', 'emotion'];
+// Returned when nothing in the taxonomy fits
+const UNKNOWN_CATEGORY = 'other';
+
+// Offline lexicon. Extend it (or cover custom categories) with
+// TOPIC_CATEGORY_LEXICON_FILE, a JSON object of { "category": ["word", ...] }.
+const DEFAULT_CATEGORY_LEXICON = {
+    animal: [
+        'animal', 'dog', 'cat', 'horse', 'cow', 'pig', 'sheep', 'goat', 'chicken', 'duck', 'bird',
+        'parrot', 'eagle', 'owl', 'penguin', 'fish', 'shark', 'whale', 'dolphin', 'octopus', 'lion',
+        'tiger', 'bear', 'wolf', 'fox', 'deer', 'rabbit', 'mouse', 'rat', 'hamster', 'squirrel',
+        'elephant', 'giraffe', 'zebra', 'monkey', 'gorilla', 'kangaroo', 'koala', 'panda', 'snake',
+        'lizard', 'turtle', 'frog', 'crocodile', 'spider', 'bee', 'butterfly', 'ant', 'insect', 'pet'
+    ],
+    place: [
+        'place', 'city', 'town', 'village', 'country', 'beach', 'mountain', 'lake', 'river', 'sea',
+        'island', 'forest', 'park', 'garden', 'desert', 'house', 'school', 'office', 'church',
+        'museum', 'restaurant', 'hotel', 'airport', 'station', 'hospital', 'kitchen', 'bedroom',
+        'street', 'road', 'bridge', 'castle', 'tower', 'holiday', 'paris', 'london', 'rome',
+        'new york', 'tokyo', 'berlin', 'madrid', 'barcelona', 'sydney', 'dubai', 'amsterdam',
+        'italy', 'france', 'spain', 'germany', 'japan', 'china', 'india', 'mexico', 'brazil',
+        'canada', 'australia', 'england', 'america', 'egypt', 'greece', 'africa', 'europe', 'asia'
+    ],
+    food: [
+        'food', 'pizza', 'pasta', 'burger', 'sandwich', 'salad', 'soup', 'rice', 'bread', 'cheese',
+        'chocolate', 'cake', 'cookie', 'ice cream', 'dessert', 'fruit', 'apple', 'banana', 'orange',
+        'strawberry', 'grape', 'lemon', 'mango', 'vegetable', 'potato', 'tomato', 'carrot', 'meat',
+        'steak', 'chicken', 'sushi', 'taco', 'curry', 'breakfast', 'lunch', 'dinner', 'coffee', 'tea',
+        'wine', 'beer', 'juice', 'milk', 'egg', 'pie', 'candy', 'noodle'
+    ],
+    person: [
+        'person', 'people', 'mother', 'father', 'parent', 'sister', 'brother', 'grandmother',
+        'grandfather', 'aunt', 'uncle', 'cousin', 'son', 'daughter', 'child', 'baby', 'wife',
+        'husband', 'boyfriend', 'girlfriend', 'friend', 'teacher', 'doctor', 'boss', 'neighbour',
+        'neighbor', 'actor', 'singer', 'artist', 'player', 'president', 'king', 'queen', 'man', 'woman'
+    ],
+    object: [
+        'object', 'car', 'bicycle', 'phone', 'computer', 'laptop', 'television', 'watch', 'clock',
+        'book', 'pen', 'pencil', 'key', 'ring', 'necklace', 'bag', 'wallet', 'shoe', 'hat', 'shirt',
+        'dress', 'chair', 'table', 'bed', 'lamp', 'cup', 'glass', 'bottle', 'knife', 'guitar',
+        'piano', 'camera', 'ball', 'toy', 'doll', 'umbrella', 'mirror', 'picture', 'painting', 'card',
+        'coin', 'boat', 'plane', 'train', 'bus', 'box', 'gift', 'present', 'candle', 'balloon'
+    ],
+    emotion: [
+        'emotion', 'feeling', 'love', 'happiness', 'joy', 'sadness', 'anger', 'fear', 'surprise',
+        'disgust', 'hope', 'pride', 'shame', 'guilt', 'jealousy', 'envy', 'loneliness', 'nostalgia',
+        'anxiety', 'stress', 'excitement', 'calm', 'peace', 'gratitude', 'grief', 'regret', 'trust',
+        'happy', 'sad', 'angry', 'scared', 'afraid', 'nervous', 'excited', 'lonely', 'proud'
+    ]
+};
+
+function parseCategories(value) {
+    if (!value) return DEFAULT_CATEGORIES;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    return list.length > 0 ? list : DEFAULT_CATEGORIES;
+}
+
+function loadCategoryLexicon() {
+    const lexicon = { ...DEFAULT_CATEGORY_LEXICON };
+    const file = process.env.TOPIC_CATEGORY_LEXICON_FILE;
+    if (file) {
+        try {
+            const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+            Object.entries(extra).forEach(([category, words]) => {
+                const key = category.toLowerCase();
+                lexicon[key] = [...(lexicon[key] || []), ...(Array.isArray(words) ? words : [words]).map(String)];
+            });
+            console.log(`Loaded category lexicon for ${Object.keys(extra).length} categories from ${file}`);
+        } catch (error) {
+            console.error(`Could not load category lexicon from ${file}:`, error.message);
+        }
+    }
+
+    // term → categories it belongs to ("chicken" is both animal and food)
+    const lookup = new Map();
+    Object.entries(lexicon).forEach(([category, terms]) => {
+        terms.forEach(term => {
+            const key = term.toLowerCase();
+            if (!lookup.has(key)) lookup.set(key, []);
+            lookup.get(key).push(category);
+        });
+    });
+    return lookup;
+}
+
+const CATEGORIES = parseCategories(process.env.TOPIC_CATEGORIES);
+const CATEGORY_LOOKUP = loadCategoryLexicon();
+
+function lexiconCategories(term, categories) {
+    return (CATEGORY_LOOKUP.get(term) || []).filter(category => categories.includes(category));
+}
+
+// Offline classifier. The topic itself decides first (whole phrase, then its
+// head noun, then other words); the surrounding text only breaks ties or
+// fills in when the topic is neither in the lexicon nor a name.
+function classifyTopicWithLexicon(topic, text, categories) {
+    const words = topic.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+    const scores = {};
+    const add = (category, score) => { scores[category] = (scores[category] || 0) + score; };
+
+    lexiconCategories(words.join(' '), categories).forEach(category => add(category, 3));
+    if (words.length > 0) {
+        lexiconCategories(words[words.length - 1], categories).forEach(category => add(category, 2));
+        words.slice(0, -1).forEach(word => lexiconCategories(word, categories).forEach(category => add(category, 0.5)));
+    }
+
+    // An unknown capitalized name is most likely somebody's name
+    if (Object.keys(scores).length === 0 && categories.includes('person') && /^\p{Lu}/u.test(topic.trim())) {
+        return { category: 'person', confidence: 0.3 };
+    }
+
+    (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).forEach(word => {
+        lexiconCategories(word, categories).forEach(category => add(category, 0.1));
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length > 0) {
+        return { category: ranked[0][0], confidence: Number(Math.min(1, ranked[0][1] / 3).toFixed(3)) };
+    }
+
+    return { category: UNKNOWN_CATEGORY, confidence: 0 };
+}
+
+async function classifyTopicWithOpenAI(topic, text, categories) {
+    const openai = getOpenAIClient();
+    if (!openai) return null;
+
+    const response = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+            {
+                role: "system",
+                content: `Classify the topic a person was thinking about into exactly one of these categories: ${categories.join(', ')}.
+Answer with the category name only. If none fits, answer "${UNKNOWN_CATEGORY}".`
+            },
+            {
+                role: "user",
+                content: `Topic: "${topic}"\nContext: "${(text || '').substring(0, 1000)}"`
+            }
+        ],
+        max_tokens: 5,
+        temperature: 0
+    });
+
+    const category = response.choices[0].message.content.trim().toLowerCase().replace(/[^\w-]/g, '');
+    return categories.includes(category) || category === UNKNOWN_CATEGORY ? category : null;
+}
+
+// Assign the topic to a category of the taxonomy. Options: { text, categories }.
+// Returns { category, source: 'openai'|'lexicon', confidence }.
+async function classifyTopic(topic, options = {}) {
+    const categories = options.categories ? parseCategories(options.categories) : CATEGORIES;
+
+    if (!topic || !topic.trim()) {
+        return { category: UNKNOWN_CATEGORY, source: null, confidence: 0 };
+    }
+
+    try {
+        const category = await withTimeout(classifyTopicWithOpenAI(topic, options.text, categories), STRATEGY_TIMEOUTS.openai);
+        if (category) {
+            console.log(`Category via OpenAI: "${topic}" → ${category}`);
+            return { category, source: 'openai', confidence: LLM_DEFAULT_SCORE };
+        }
+    } catch (error) {
+        console.warn(`⚠️ OpenAI classification failed: ${error.message}`);
+    }
+
+    const { category, confidence } = classifyTopicWithLexicon(topic, options.text, categories);
+    console.log(`Category via lexicon: "${topic}" → ${category}`);
+    return { category, source: 'lexicon', confidence };
+}
+
+module.exports = {
+    STOP_WORDS,
+    STRATEGY_ORDER,
+    CATEGORIES,
+    chunkNounPhrases,
+    extractTopic,
+    extractMainTopic,
+    classifyTopic
 };
\ No newline at end of file
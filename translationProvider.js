@@ -0,0 +1,197 @@
+// Translation provider layer. Every provider translates one string:
+//   translate(text, targetLanguage) → { text, error }
+// Pick one with TRANSLATION_PROVIDER=vitalets|openai|dictionary (default vitalets).
+// Results are kept in an LRU cache keyed by target language + text, and
+// translateText reports failures with `translationFailed` instead of hiding them.
+const fs = require('fs');
+const path = require('path');
+const { translate } = require('@vitalets/google-translate-api');
+const { getOpenAIClient } = require('./aiClients');
+
+// Number of translations kept in memory
+const CACHE_SIZE = parseInt(process.env.TRANSLATION_CACHE_SIZE, 10) || 500;
+
+function createVitaletsProvider() {
+    return {
+        name: 'vitalets',
+        async translate(text, targetLanguage) {
+            try {
+                const result = await translate(text, { to: targetLanguage });
+                return { text: result.text, error: null };
+            } catch (error) {
+                return { text: null, error };
+            }
+        }
+    };
+}
+
+function createOpenAIProvider() {
+    return {
+        name: 'openai',
+        async translate(text, targetLanguage) {
+            const openai = getOpenAIClient();
+            if (!openai) return { text: null, error: new Error('OPENAI_API_KEY is not set') };
+
+            try {
+                const response = await openai.chat.completions.create({
+                    model: "gpt-4o-mini",
+                    messages: [
+                        {
+                            role: "system",
+                            content: `Translate the user's text into the language with code "${targetLanguage}". Reply with the translation only.`
+                        },
+                        { role: "user", content: text }
+                    ],
+                    max_tokens: 500,
+                    temperature: 0
+                });
+                const translated = response.choices[0].message.content.trim();
+                return translated ? { text: translated, error: null } : { text: null, error: new Error('Empty translation') };
+            } catch (error) {
+                return { text: null, error };
+            }
+        }
+    };
+}
+
+// Offline provider: TRANSLATION_DICTIONARY_FILE (default fixtures/translation/dictionary.json),
+// { "<target language>": { "<source text>": "<translation>" } }. Whole phrases are
+// looked up first, then word by word, line by line; text with an unknown word is a failure.
+function createDictionaryProvider() {
+    const file = process.env.TRANSLATION_DICTIONARY_FILE || path.join(__dirname, 'fixtures', 'translation', 'dictionary.json');
+    let dictionary = null;
+
+    return {
+        name: 'dictionary',
+        async translate(text, targetLanguage) {
+            try {
+                if (!dictionary) dictionary = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return { text: null, error };
+            }
+
+            const entries = dictionary[targetLanguage.split('-')[0].toLowerCase()] || {};
+            const translatedLines = [];
+            for (const line of text.split('\n')) {
+                const phrase = line.toLowerCase().replace(/[^\p{L}\p{N}'\s-]/gu, '').replace(/\s+/g, ' ').trim();
+                if (Object.hasOwn(entries, phrase)) {
+                    translatedLines.push(entries[phrase]);
+                    continue;
+                }
+
+                const words = phrase.split(' ');
+                const missing = words.filter(word => !Object.hasOwn(entries, word));
+                if (missing.length > 0) {
+                    return { text: null, error: new Error(`Not in the ${targetLanguage} dictionary: ${missing.join(', ')}`) };
+                }
+                translatedLines.push(words.map(word => entries[word]).join(' '));
+            }
+            return { text: translatedLines.join('\n'), error: null };
+        }
+    };
+}
+
+const PROVIDERS = {
+    vitalets: createVitaletsProvider,
+    openai: createOpenAIProvider,
+    dictionary: createDictionaryProvider
+};
+
+let activeProvider = null;
+
+function getTranslationProvider() {
+    if (!activeProvider) {
+        const name = (process.env.TRANSLATION_PROVIDER || 'vitalets').toLowerCase();
+        if (!PROVIDERS[name]) {
+            console.warn(`⚠️ Unknown TRANSLATION_PROVIDER "${name}", using vitalets`);
+        }
+        activeProvider = (PROVIDERS[name] || PROVIDERS.vitalets)();
+        console.log(`Translation provider: ${activeProvider.name}`);
+    }
+    return activeProvider;
+}
+
+// Map keeps insertion order: re-inserting on a hit makes the first key the least recently used
+const cache = new Map();
+const inFlight = new Map();
+
+function cacheGet(key) {
+    if (!cache.has(key)) return undefined;
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+}
+
+function cacheSet(key, value) {
+    cache.delete(key);
+    cache.set(key, value);
+    if (cache.size > CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+// Returns { text, translationFailed, error }. On failure `text` is the
+// original text so callers can still show something, flagged as untranslated.
+async function translateText(text, targetLanguage) {
+    if (!text || text.trim().length === 0) return { text, translationFailed: false, error: null };
+
+    const key = `${targetLanguage}\u0000${text}`;
+    const cached = cacheGet(key);
+    if (cached !== undefined) return { text: cached, translationFailed: false, error: null };
+
+    // Concurrent requests for the same text share one provider call
+    if (!inFlight.has(key)) {
+        const provider = getTranslationProvider();
+        console.log(`Translating to ${targetLanguage} via ${provider.name}: "${text.substring(0, 100)}..."`);
+        inFlight.set(key, provider.translate(text, targetLanguage).finally(() => inFlight.delete(key)));
+    }
+    const { text: translated, error } = await inFlight.get(key);
+
+    if (error || !translated) {
+        console.error(`Translation error (${getTranslationProvider().name}):`, error?.message || 'no translation');
+        return { text, translationFailed: true, error: error || new Error('No translation') };
+    }
+
+    // Failures are not cached so the next performance retries them
+    cacheSet(key, translated);
+    return { text: translated, translationFailed: false, error: null };
+}
+
+// Translates several short strings (topic labels) with one provider call by
+// sending them one per line. Returns one translateText-style result per input.
+// If the provider doesn't keep the lines apart, each string is translated on its own;
+// if the call fails, every string comes back untranslated and flagged.
+async function translateLines(texts, targetLanguage) {
+    const lines = [...new Set(texts
+        .filter(text => text && text.trim().length > 0)
+        .map(text => text.replace(/\s+/g, ' ').trim()))];
+    const byLine = new Map();
+
+    if (lines.length > 1) {
+        const joined = await translateText(lines.join('\n'), targetLanguage);
+        const translatedLines = joined.text.split('\n').map(line => line.trim());
+        if (joined.translationFailed) {
+            lines.forEach(line => byLine.set(line, { text: line, translationFailed: true, error: joined.error }));
+        } else if (translatedLines.length === lines.length) {
+            lines.forEach((line, index) => byLine.set(line, { text: translatedLines[index], translationFailed: false, error: null }));
+        } else {
+            console.warn(`⚠️ Translation returned ${translatedLines.length} lines for ${lines.length}, translating one by one`);
+        }
+    }
+
+    for (const line of lines) {
+        if (!byLine.has(line)) byLine.set(line, await translateText(line, targetLanguage));
+    }
+
+    return texts.map(text => {
+        if (!text || text.trim().length === 0) return { text, translationFailed: false, error: null };
+        return byLine.get(text.replace(/\s+/g, ' ').trim());
+    });
+}
+
+module.exports = {
+    getTranslationProvider,
+    translateText,
+    translateLines
+};
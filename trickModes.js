@@ -0,0 +1,206 @@
+// Trick modes: what kind of answer the spectator gives. 'topic' runs the
+// summary/topic pipeline; every other mode has a dedicated extractor that
+// returns a normalized structured value, e.g. card → { rank: 'Q', suit: 'hearts' }.
+const { getOpenAIClient, withTimeout } = require('./aiClients');
+const { chunkNounPhrases } = require('./topicExtractor');
+const { CITY_COUNTRIES, findPersonNames } = require('./entityExtractor');
+const { parseSpokenNumber, parseSpokenCard, parseSpokenDate, isValidDay } = require('./spokenParser');
+
+const TRICK_MODES = ['topic', 'card', 'number', 'name', 'color', 'date', 'city'];
+
+const DEFAULT_TRICK_MODE = TRICK_MODES.includes(process.env.TRICK_MODE) ? process.env.TRICK_MODE : 'topic';
+
+// Milliseconds the LLM extractor may take before the local one answers
+const LLM_TIMEOUT_MS = parseInt(process.env.TRICK_LLM_TIMEOUT_MS, 10) || 5000;
+
+function resolveTrickMode(mode) {
+    const value = typeof mode === 'string' ? mode.trim().toLowerCase() : '';
+    return TRICK_MODES.includes(value) ? value : DEFAULT_TRICK_MODE;
+}
+
+const CARD_RANKS = {
+    ace: 'A', one: 'A', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+    eight: '8', nine: '9', ten: '10', jack: 'J', knave: 'J', queen: 'Q', king: 'K'
+};
+const CARD_RANK_NAMES = {
+    A: 'ace', 2: 'two', 3: 'three', 4: 'four', 5: 'five', 6: 'six', 7: 'seven', 8: 'eight',
+    9: 'nine', 10: 'ten', J: 'jack', Q: 'queen', K: 'king'
+};
+const CARD_SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+    'october', 'november', 'december'
+];
+
+const COLORS = {
+    red: '#ff0000', orange: '#ffa500', yellow: '#ffff00', green: '#008000', blue: '#0000ff',
+    purple: '#800080', violet: '#ee82ee', pink: '#ffc0cb', brown: '#a52a2a', black: '#000000',
+    white: '#ffffff', grey: '#808080', gray: '#808080', gold: '#ffd700', silver: '#c0c0c0',
+    turquoise: '#40e0d0', navy: '#000080', maroon: '#800000', beige: '#f5f5dc', teal: '#008080',
+    lime: '#00ff00', cyan: '#00ffff', magenta: '#ff00ff', indigo: '#4b0082', lavender: '#e6e6fa'
+};
+
+const titleCase = (text) => text.replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+
+// ---------- Normalizers: turn a loose value (LLM or local) into the mode's shape ----------
+
+const NORMALIZERS = {
+    card: (value) => {
+        const rankText = String(value.rank || '').trim().toLowerCase();
+        const rank = CARD_RANKS[rankText] || (CARD_RANK_NAMES[rankText.toUpperCase()] ? rankText.toUpperCase() : null);
+        const suitText = String(value.suit || '').trim().toLowerCase();
+        const suit = CARD_SUITS.find(name => name === suitText || name === `${suitText}s`);
+        return rank && suit ? { rank, suit } : null;
+    },
+    number: (value) => {
+        const number = Number(value.number);
+        return Number.isFinite(number) ? { number } : null;
+    },
+    name: (value) => {
+        const name = String(value.name || '').trim();
+        return name ? { name: titleCase(name) } : null;
+    },
+    color: (value) => {
+        const color = String(value.color || '').trim().toLowerCase();
+        return color ? { color, hex: COLORS[color] || value.hex || null } : null;
+    },
+    date: (value) => {
+        const month = Number(value.month);
+        const day = Number(value.day);
+        const year = Number(value.year);
+        const knownYear = Number.isInteger(year) && year > 0 ? year : null;
+        // No "February 30th", from the parser or the LLM
+        if (!(Number.isInteger(month) && month >= 1 && month <= 12 && Number.isInteger(day) && isValidDay(month, day, knownYear))) return null;
+        return { month, day, year: knownYear };
+    },
+    city: (value) => {
+        const city = String(value.city || '').trim();
+        if (!city) return null;
+        return { city: titleCase(city), country: value.country || CITY_COUNTRIES[city.toLowerCase()] || null };
+    }
+};
+
+// Human-readable form for clients that only show a string
+const DISPLAY = {
+    card: ({ rank, suit }) => `${CARD_RANK_NAMES[rank]} of ${suit}`,
+    number: ({ number }) => String(number),
+    name: ({ name }) => name,
+    color: ({ color }) => color,
+    date: ({ month, day, year }) => `${titleCase(MONTHS[month - 1])} ${day}${year ? `, ${year}` : ''}`,
+    city: ({ city, country }) => (country ? `${city}, ${country}` : city)
+};
+
+// ---------- Deterministic parsers: tried before the LLM, no latency ----------
+
+const PARSERS = {
+    card: parseSpokenCard,
+    number: parseSpokenNumber,
+    date: parseSpokenDate
+};
+
+// ---------- Local extractors (English), used when the LLM has no answer ----------
+
+const LOCAL_EXTRACTORS = {
+    name: (text) => {
+        // Titles, weekdays and places are not names: "Dr. Watson" → "Watson"
+        const names = findPersonNames(text);
+        const explicit = text.match(/\b(?:name is|named|called|it's|it is)\s+(\p{Lu}[\p{L}'-]+(?:\s+\p{Lu}[\p{L}'-]+)?)/u);
+        const name = explicit && names.includes(explicit[1]) ? explicit[1] : names[0];
+        return name ? { name } : null;
+    },
+    color: (text) => {
+        const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+        const color = words.find(word => COLORS[word]);
+        return color ? { color } : null;
+    },
+    city: (text) => {
+        const lower = ` ${text.toLowerCase().replace(/[^\p{L}\s]/gu, ' ').replace(/\s+/g, ' ')} `;
+        const known = Object.keys(CITY_COUNTRIES).find(city => lower.includes(` ${city} `));
+        if (known) return { city: known };
+        const proper = chunkNounPhrases(text).find(phrase => phrase.proper);
+        return proper ? { city: proper.phrase } : null;
+    }
+};
+
+// ---------- LLM extractor ----------
+
+const LLM_INSTRUCTIONS = {
+    card: 'the playing card. Answer {"rank": "A|2-10|J|Q|K", "suit": "hearts|diamonds|clubs|spades"}',
+    number: 'the number. Answer {"number": <number>}',
+    name: 'the person\'s name. Answer {"name": "<name>"}',
+    color: 'the color, in English. Answer {"color": "<lowercase color name>", "hex": "#rrggbb"}',
+    date: 'the calendar date. Answer {"month": 1-12, "day": 1-31, "year": <year or null>}',
+    city: 'the city, in English. Answer {"city": "<city>", "country": "<country or null>"}'
+};
+
+async function extractWithOpenAI(mode, text) {
+    const openai = getOpenAIClient();
+    if (!openai) return null;
+
+    const request = openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+            {
+                role: "system",
+                content: `A spectator said which ${mode} they are thinking of. The transcript may be in any language. Extract ${LLM_INSTRUCTIONS[mode]}. If there is none, answer {}.`
+            },
+            { role: "user", content: text }
+        ],
+        max_tokens: 60,
+        temperature: 0,
+        response_format: { type: "json_object" }
+    });
+
+    const response = await withTimeout(request, LLM_TIMEOUT_MS);
+    return JSON.parse(response.choices[0].message.content);
+}
+
+// Extract the structured answer for a non-topic mode: the deterministic
+// parser first (card, number, date), then the LLM, then local heuristics.
+// Returns { mode, value, display, source: 'parser'|'openai'|'local'|null, error }.
+async function extractTrickValue(mode, text, language = 'en') {
+    if (!NORMALIZERS[mode]) {
+        return { mode, value: null, display: null, source: null, error: { error: 'unsupported_mode', message: `Mode "${mode}" has no extractor` } };
+    }
+
+    console.log(`\n========== ${mode.toUpperCase()} EXTRACTION ==========`);
+    console.log(`Input text: "${text.substring(0, 200)}"`);
+
+    if (PARSERS[mode]) {
+        const parsed = PARSERS[mode](text, language);
+        const value = parsed ? NORMALIZERS[mode](parsed) : null;
+        if (value) {
+            console.log(`✅ ${mode} via parser: ${JSON.stringify(value)}`);
+            return { mode, value, display: DISPLAY[mode](value), source: 'parser', error: null };
+        }
+    }
+
+    try {
+        const raw = await extractWithOpenAI(mode, text);
+        const value = raw ? NORMALIZERS[mode](raw) : null;
+        if (value) {
+            console.log(`✅ ${mode} via OpenAI: ${JSON.stringify(value)}`);
+            return { mode, value, display: DISPLAY[mode](value), source: 'openai', error: null };
+        }
+    } catch (error) {
+        console.warn(`⚠️ OpenAI ${mode} extraction failed: ${error.message}`);
+    }
+
+    const raw = LOCAL_EXTRACTORS[mode] ? LOCAL_EXTRACTORS[mode](text) : null;
+    const value = raw ? NORMALIZERS[mode](raw) : null;
+    if (value) {
+        console.log(`✅ ${mode} via local extractor: ${JSON.stringify(value)}`);
+        return { mode, value, display: DISPLAY[mode](value), source: 'local', error: null };
+    }
+
+    console.log(`⚠️ No ${mode} found`);
+    return { mode, value: null, display: null, source: null, error: { error: 'not_found', message: `No ${mode} found in what the spectator said` } };
+}
+
+module.exports = {
+    TRICK_MODES,
+    DEFAULT_TRICK_MODE,
+    resolveTrickMode,
+    extractTrickValue
+};
@@ -0,0 +1,226 @@
+// Lightweight speaker fingerprinting: MFCC statistics in pure JS, used to
+// recognise the magician's voice among Deepgram's diarized speakers
+const { parseWav, toPcm16, downmixToMono } = require('./audioUtils');
+
+const FRAME_SECONDS = 0.025;
+const HOP_SECONDS = 0.010;
+const FFT_SIZE = 512;
+const MEL_FILTERS = 26;
+const MFCC_COUNT = 13;
+
+// Minimum speech needed for a usable fingerprint
+const MIN_VOICE_SECONDS = 1;
+
+// How far the closest speaker's similarity must lead the runner-up to be
+// taken for the enrolled voice. Absolute similarities shift with the room and
+// the microphone, the gap between speakers in one recording does not.
+const VOICE_MATCH_MARGIN = parseFloat(process.env.VOICE_MATCH_MARGIN) || 0.05;
+
+// Decode a WAV buffer into mono float samples
+function wavToSamples(wavBuffer) {
+    const { wav, error } = parseWav(wavBuffer);
+    if (error) return { samples: null, sampleRate: null, error };
+
+    const samples = downmixToMono(toPcm16(wav.data, wav.format), wav.format.numChannels);
+    return { samples, sampleRate: wav.format.sampleRate, error: null };
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+    const n = real.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = real[b] * cos - imag[b] * sin;
+                const ti = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
+const melFilterCache = new Map();
+
+function melFilterBank(sampleRate) {
+    if (melFilterCache.has(sampleRate)) return melFilterCache.get(sampleRate);
+
+    const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+    const fromMel = mel => 700 * (10 ** (mel / 2595) - 1);
+    const maxMel = toMel(sampleRate / 2);
+    const bins = [];
+    for (let i = 0; i < MEL_FILTERS + 2; i++) {
+        bins.push(Math.floor((FFT_SIZE + 1) * fromMel(maxMel * i / (MEL_FILTERS + 1)) / sampleRate));
+    }
+
+    const filters = [];
+    for (let m = 1; m <= MEL_FILTERS; m++) {
+        const filter = new Float32Array(FFT_SIZE / 2 + 1);
+        for (let k = bins[m - 1]; k < bins[m]; k++) filter[k] = (k - bins[m - 1]) / Math.max(1, bins[m] - bins[m - 1]);
+        for (let k = bins[m]; k < bins[m + 1]; k++) filter[k] = (bins[m + 1] - k) / Math.max(1, bins[m + 1] - bins[m]);
+        filters.push(filter);
+    }
+
+    melFilterCache.set(sampleRate, filters);
+    return filters;
+}
+
+// MFCC vectors (coefficients 1..12, c0/energy dropped) for every voiced frame
+function computeMfccFrames(samples, sampleRate) {
+    const frameLength = Math.round(FRAME_SECONDS * sampleRate);
+    const hop = Math.round(HOP_SECONDS * sampleRate);
+    const filters = melFilterBank(sampleRate);
+    const frames = [];
+
+    for (let start = 0; start + frameLength <= samples.length; start += hop) {
+        const real = new Float32Array(FFT_SIZE);
+        const imag = new Float32Array(FFT_SIZE);
+        let energy = 0;
+
+        for (let i = 0; i < frameLength && i < FFT_SIZE; i++) {
+            // Pre-emphasis + Hamming window
+            const sample = samples[start + i] - 0.97 * (samples[start + i - 1] || 0);
+            real[i] = sample * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frameLength - 1)));
+            energy += samples[start + i] * samples[start + i];
+        }
+
+        // Skip near-silent frames; they carry no voice information
+        if (energy / frameLength < 1e-5) continue;
+
+        fft(real, imag);
+
+        const logMel = filters.map(filter => {
+            let sum = 0;
+            for (let k = 0; k < filter.length; k++) {
+                if (filter[k]) sum += filter[k] * (real[k] * real[k] + imag[k] * imag[k]);
+            }
+            return Math.log(sum + 1e-10);
+        });
+
+        const mfcc = [];
+        for (let c = 1; c < MFCC_COUNT; c++) {
+            let sum = 0;
+            for (let m = 0; m < MEL_FILTERS; m++) sum += logMel[m] * Math.cos(Math.PI * c * (m + 0.5) / MEL_FILTERS);
+            mfcc.push(sum);
+        }
+        frames.push(mfcc);
+    }
+
+    return frames;
+}
+
+// Per-coefficient standard deviation over frames
+function frameStd(frames) {
+    const dims = frames[0].length;
+    const mean = new Array(dims).fill(0);
+    const variance = new Array(dims).fill(0);
+    frames.forEach(frame => frame.forEach((value, i) => { mean[i] += value / frames.length; }));
+    frames.forEach(frame => frame.forEach((value, i) => { variance[i] += (value - mean[i]) ** 2 / frames.length; }));
+    return variance.map(Math.sqrt);
+}
+
+// Fingerprint = per-coefficient spread of the cepstrum and of its frame-to-frame
+// change (deltas), after cepstral mean normalization: the microphone and the
+// room add a constant to every frame's cepstrum, so the mean is removed and
+// only the shape of the voice is compared. Returns null when there is not
+// enough speech.
+function computeVoiceprint(samples, sampleRate) {
+    const frames = computeMfccFrames(samples, sampleRate);
+    const voicedSeconds = frames.length * HOP_SECONDS;
+    if (voicedSeconds < MIN_VOICE_SECONDS) return null;
+
+    const dims = frames[0].length;
+    const mean = new Array(dims).fill(0);
+    frames.forEach(frame => frame.forEach((value, i) => { mean[i] += value / frames.length; }));
+    const normalized = frames.map(frame => frame.map((value, i) => value - mean[i]));
+
+    const deltas = normalized.slice(1).map((frame, t) => frame.map((value, i) => value - normalized[t][i]));
+
+    return {
+        vector: [...frameStd(normalized), ...frameStd(deltas)],
+        voicedSeconds: Number(voicedSeconds.toFixed(2))
+    };
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Compare every diarized speaker's audio against the enrolled voiceprint.
+// `words` are Deepgram words with start/end/speaker. Returns
+// { speaker, similarity, scores } where speaker is null when no speaker leads
+// the others by VOICE_MATCH_MARGIN (a lone speaker has nobody to lead).
+function matchVoiceprint(wavBuffer, words, voiceprint) {
+    const { samples, sampleRate, error } = wavToSamples(wavBuffer);
+    if (error || !voiceprint) return { speaker: null, similarity: null, scores: {} };
+
+    const segmentsBySpeaker = new Map();
+    words.forEach(word => {
+        const speaker = word.speaker !== undefined ? word.speaker : 0;
+        if (!segmentsBySpeaker.has(speaker)) segmentsBySpeaker.set(speaker, []);
+        segmentsBySpeaker.get(speaker).push(samples.subarray(
+            Math.max(0, Math.floor(word.start * sampleRate)),
+            Math.min(samples.length, Math.ceil(word.end * sampleRate))
+        ));
+    });
+
+    const scores = {};
+
+    segmentsBySpeaker.forEach((segments, speaker) => {
+        const total = segments.reduce((sum, segment) => sum + segment.length, 0);
+        const joined = new Float32Array(total);
+        let offset = 0;
+        segments.forEach(segment => { joined.set(segment, offset); offset += segment.length; });
+
+        const print = computeVoiceprint(joined, sampleRate);
+        if (!print) return;
+
+        // Voiceprints enrolled with another feature layout cannot be compared
+        if (print.vector.length !== voiceprint.vector.length) return;
+
+        scores[speaker] = Number(cosineSimilarity(print.vector, voiceprint.vector).toFixed(3));
+    });
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (!best || !runnerUp || best[1] - runnerUp[1] < VOICE_MATCH_MARGIN) {
+        return { speaker: null, similarity: null, scores };
+    }
+
+    // Object keys are strings; Deepgram speakers are numbers
+    const speaker = [...segmentsBySpeaker.keys()].find(key => String(key) === best[0]);
+    return { speaker, similarity: best[1], scores };
+}
+
+module.exports = {
+    MIN_VOICE_SECONDS,
+    wavToSamples,
+    computeVoiceprint,
+    cosineSimilarity,
+    matchVoiceprint
+};